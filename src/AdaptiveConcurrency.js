@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+/**
+ * Option defaults.
+ * @type {Object}
+ */
+const optDefaults = {
+  minInFlight: 1,
+  maxInFlight: 100,
+  targetHandlingMs: 0,
+  maxFailureRate: 0.1,
+  windowSize: 20,
+  increase: 1,
+  decreaseFactor: 0.5
+}
+
+/**
+ * AdaptiveConcurrency tracks how long messages take to be handled and how often their handlers fail, and adjusts
+ * the number of messages that should be kept in flight using AIMD (additive increase, multiplicative decrease).
+ * After every window of handled messages, the limit is cut by a factor if the handlers were too slow or failed too
+ * often, and raised by a fixed step otherwise. Raising the limit slowly and cutting it quickly lets it settle close
+ * to what a downstream service can take, backing off as soon as that service starts to struggle.
+ */
+class AdaptiveConcurrency {
+
+  /**
+   * Creates a new AdaptiveConcurrency.
+   * @param {Object} [opts] An object containing options mappings
+   * @param {number} [opts.minInFlight=1] The lowest the limit can go
+   * @param {number} [opts.maxInFlight=100] The highest the limit can go. This is also where the limit starts.
+   * @param {number} [opts.targetHandlingMs=0] The average handling time, in milliseconds, above which the limit is
+   *    cut. Set to 0 to ignore handling time.
+   * @param {number} [opts.maxFailureRate=0.1] The fraction of failed messages, from 0 to 1, above which the limit is
+   *    cut
+   * @param {number} [opts.windowSize=20] The number of handled messages to observe before each adjustment
+   * @param {number} [opts.increase=1] The amount by which to raise the limit after a healthy window
+   * @param {number} [opts.decreaseFactor=0.5] The factor by which to multiply the limit after an unhealthy window
+   */
+  constructor(opts) {
+    this._opts = Object.assign({}, optDefaults, opts)
+    this._limit = this._opts.maxInFlight
+    this._resetWindow()
+  }
+
+  /**
+   * Getter for the number of messages that should currently be kept in flight.
+   * @returns {number}
+   */
+  get limit() {
+    return this._limit
+  }
+
+  /**
+   * Records that a message's handler failed. The message should still be recorded with {@link #recordHandled} once
+   * it's been handled.
+   */
+  recordFailure() {
+    this._failures++
+  }
+
+  /**
+   * Records the time taken to handle a message, and adjusts the limit if a full window of messages has been handled.
+   * @param {number} durationMs The number of milliseconds the message took to handle
+   * @returns {{limit: number, previousLimit: number, avgHandlingMs: number, failureRate: number}|null} The details
+   *    of the change if the limit was changed, or null otherwise
+   */
+  recordHandled(durationMs) {
+    this._samples++
+    this._totalMs += durationMs
+    if (this._samples < this._opts.windowSize) return null
+    const avgHandlingMs = this._totalMs / this._samples
+    const failureRate = Math.min(this._failures / this._samples, 1)
+    const tooSlow = this._opts.targetHandlingMs > 0 && avgHandlingMs > this._opts.targetHandlingMs
+    const previousLimit = this._limit
+    if (tooSlow || failureRate > this._opts.maxFailureRate) {
+      this._limit = Math.max(Math.floor(this._limit * this._opts.decreaseFactor), this._opts.minInFlight)
+    } else {
+      this._limit = Math.min(this._limit + this._opts.increase, this._opts.maxInFlight)
+    }
+    this._resetWindow()
+    if (this._limit === previousLimit) return null
+    return { limit: this._limit, previousLimit, avgHandlingMs, failureRate }
+  }
+
+  /**
+   * Clears the observations of the current window, to start a new one.
+   * @private
+   */
+  _resetWindow() {
+    this._samples = 0
+    this._failures = 0
+    this._totalMs = 0
+  }
+}
+
+module.exports = AdaptiveConcurrency
@@ -0,0 +1,89 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * The pattern every blob key must match. Keys are used as file names, so this prevents a crafted message from
+ * reading or deleting files outside of the store's directory.
+ * @type {RegExp}
+ */
+const VALID_KEY = /^[A-Za-z0-9_-]+$/
+
+/**
+ * The FileBlobStore saves message bodies that are too large for SQS as files in a local directory. It implements the
+ * blob store interface that Squiss expects for its `blobStore` option: `put`, `get`, and `del` functions that each
+ * accept a key and return a Promise. Any object implementing those three functions (for example, one backed by
+ * Amazon S3) can be used in its place.
+ *
+ * Since every consumer of the queue needs to be able to read the stored bodies, this store is most useful for
+ * testing, or for producers and consumers that share a filesystem.
+ */
+class FileBlobStore {
+
+  /**
+   * Creates a new FileBlobStore.
+   * @param {Object} opts An object containing options mappings
+   * @param {string} opts.dir The path of an existing directory in which to store message bodies
+   */
+  constructor(opts) {
+    opts = opts || {}
+    if (!opts.dir) throw new Error('FileBlobStore requires a "dir"')
+    this._dir = opts.dir
+  }
+
+  /**
+   * Deletes a stored message body. Deleting a body that doesn't exist is not an error.
+   * @param {string} key The key of the body to be deleted
+   * @returns {Promise} Resolves when the body has been deleted
+   */
+  del(key) {
+    return this._call('unlink', key).catch(err => {
+      if (err.code !== 'ENOENT') throw err
+    })
+  }
+
+  /**
+   * Retrieves a stored message body.
+   * @param {string} key The key of the body to be retrieved
+   * @returns {Promise.<string>} Resolves with the message body
+   */
+  get(key) {
+    return this._call('readFile', key, 'utf8')
+  }
+
+  /**
+   * Stores a message body.
+   * @param {string} key The key under which to store the body
+   * @param {string} body The message body to be stored
+   * @returns {Promise} Resolves when the body has been stored
+   */
+  put(key, body) {
+    return this._call('writeFile', key, body)
+  }
+
+  /**
+   * Calls a callback-style function from the `fs` module on the file for the given key.
+   * @param {string} func The name of the `fs` function to call
+   * @param {string} key The key of the body, which must consist of only letters, numbers, underscores, and dashes
+   * @param {...*} [args] Any additional arguments to pass to the `fs` function, after the file path
+   * @returns {Promise.<*>} Resolves with the result of the `fs` function
+   * @private
+   */
+  _call(func, key) {
+    if (!VALID_KEY.test(key)) return Promise.reject(new Error(`Invalid blob key: ${key}`))
+    const args = [ path.join(this._dir, key) ].concat(Array.prototype.slice.call(arguments, 2))
+    return new Promise((resolve, reject) => {
+      fs[func].apply(fs, args.concat((err, res) => {
+        if (err) reject(err)
+        else resolve(res)
+      }))
+    })
+  }
+}
+
+module.exports = FileBlobStore
@@ -4,6 +4,26 @@
 
 'use strict'
 
+const attributeCodec = require('./attributes')
+const codecs = require('./codecs')
+const compression = require('./compression')
+const tracing = require('./tracing')
+
+/**
+ * The name that marks a message body as a pointer to a body saved in a blob store.
+ * @type {string}
+ */
+const BLOB_POINTER = 'squiss.BlobPointer'
+
+/**
+ * Converts an SQS timestamp attribute, in milliseconds since the epoch, to a Date.
+ * @param {string|undefined} timestamp The timestamp attribute value
+ * @returns {Date|null} The timestamp as a Date, or null if the attribute was not set
+ */
+function toDate(timestamp) {
+  return timestamp ? new Date(parseInt(timestamp, 10)) : null
+}
+
 /**
  * The message class is a wrapper for Amazon SQS messages that provides the raw and parsed message body,
  * optionally removed SNS wrappers, and provides convenience functions to delete or keep a given message.
@@ -17,14 +37,24 @@ class Message {
    * @param {boolean} [opts.unwrapSns=false] Set to `true` to denote that each message should be treated as though
    *    it comes from a queue subscribed to an SNS endpoint, and automatically extract the message from the SNS
    *    metadata wrapper.
-   * @param {string} opts.bodyFormat "plain" to not parse the message body, or "json" to pass it through JSON.parse
-   *    on creation
+   * @param {string} [opts.bodyFormat="plain"] The name of the codec with which to decode the message body on
+   *    creation: "plain" to leave it as-is, "json" to pass it through JSON.parse, "base64" to decode it to a Buffer,
+   *    or the name of any other codec registered with {@link Squiss.registerCodec}
    * @param {Squiss} opts.squiss The squiss instance responsible for retrieving this message. This will be used to
    *    delete the message and update inFlight count tracking.
+   * @param {Object} [opts.blobStore] The blob store in which large message bodies are saved. If specified, and the
+   *    message body is a pointer to a saved body, the body will not be parsed until {@link #loadBody} is called.
+   *    The same is true of bodies that were compressed when they were sent.
+   * @param {string} [opts.queueUrl] The URL of the queue from which the message was received
    */
   constructor(opts) {
     this.raw = opts.msg
+    this.queueUrl = opts.queueUrl || null
     this.body = opts.msg.Body
+    this.attributes = attributeCodec.decode(opts.msg.MessageAttributes)
+    this.compression = this.attributes[compression.ATTRIBUTE] || null
+    delete this.attributes[compression.ATTRIBUTE]
+    this.traceContext = tracing.extract(this.attributes, opts.msg.Attributes)
     if (opts.unwrapSns) {
       let unwrapped = JSON.parse(this.body)
       this.body = unwrapped.Message
@@ -32,9 +62,90 @@ class Message {
       this.topicArn = unwrapped.TopicArn
       this.topicName = unwrapped.TopicArn.substr(unwrapped.TopicArn.lastIndexOf(':') + 1)
     }
-    this.body = Message._formatMessage(this.body, opts.bodyFormat)
+    this.blobKey = opts.blobStore ? Message._getBlobKey(this.body) : null
+    if (this.blobKey) this._blobStore = opts.blobStore
+    this._bodyFormat = opts.bodyFormat
+    this._bodyLoaded = !this.blobKey && !this.compression
+    if (this._bodyLoaded) this.body = Message._formatMessage(this.body, opts.bodyFormat)
     this._squiss = opts.squiss
     this._handled = false
+    this.receivedAt = new Date()
+    this.deliveredAt = null
+    this.handledAt = null
+  }
+
+  /**
+   * Getter for the time at which SQS first delivered this message to any receiver. Requires the
+   * ApproximateFirstReceiveTimestamp attribute to have been requested.
+   * @returns {Date|null}
+   */
+  get firstReceivedAt() {
+    return toDate(this._getSystemAttribute('ApproximateFirstReceiveTimestamp'))
+  }
+
+  /**
+   * Getter for the MessageGroupId of this message, if it came from a FIFO queue and the MessageGroupId attribute
+   * was requested.
+   * @returns {string|null}
+   */
+  get groupId() {
+    return this._getSystemAttribute('MessageGroupId')
+  }
+
+  /**
+   * Getter for the number of milliseconds between receiving this message and handling it, or null if it hasn't
+   * been handled yet.
+   * @returns {number|null}
+   */
+  get handlingDurationMs() {
+    return this.handledAt ? this.handledAt - this.receivedAt : null
+  }
+
+  /**
+   * Getter for the number of milliseconds this message spent between being sent and being received by Squiss.
+   * Requires the SentTimestamp attribute to have been requested. Note that this relies on the local clock agreeing
+   * with Amazon's.
+   * @returns {number|null}
+   */
+  get queueLatencyMs() {
+    const sentAt = this.sentAt
+    return sentAt ? this.receivedAt - sentAt : null
+  }
+
+  /**
+   * Getter for the number of times SQS has delivered this message, including this time.
+   * @returns {number|null}
+   */
+  get receiveCount() {
+    const count = this._getSystemAttribute('ApproximateReceiveCount')
+    return count ? parseInt(count, 10) : null
+  }
+
+  /**
+   * Getter for the ID of the AWS account or IAM user that sent this message. Requires the SenderId attribute to have
+   * been requested.
+   * @returns {string|null}
+   */
+  get senderId() {
+    return this._getSystemAttribute('SenderId')
+  }
+
+  /**
+   * Getter for the time at which this message was sent to the queue. Requires the SentTimestamp attribute to have
+   * been requested.
+   * @returns {Date|null}
+   */
+  get sentAt() {
+    return toDate(this._getSystemAttribute('SentTimestamp'))
+  }
+
+  /**
+   * Getter for the sequence number SQS assigned to this message, if it came from a FIFO queue and the
+   * SequenceNumber attribute was requested. This is a string, as it's too large to be held by a number.
+   * @returns {string|null}
+   */
+  get sequenceNumber() {
+    return this._getSystemAttribute('SequenceNumber')
   }
 
   /**
@@ -57,14 +168,43 @@ class Message {
     }
   }
 
+  /**
+   * Gets the body of this message ready for use, if that couldn't be done when the message was created. The body is
+   * retrieved from the blob store if it was saved there when the message was sent, then decompressed if it was
+   * compressed, and finally parsed according to the bodyFormat.
+   * @returns {Promise.<Message>} Resolves with this message once its body is available
+   */
+  loadBody() {
+    if (this._bodyLoaded) return Promise.resolve(this)
+    return Promise.resolve(this.blobKey ? this._blobStore.get(this.blobKey) : this.body).then(body => {
+      return this.compression ? compression.decompress(body, this.compression) : body
+    }).then(body => {
+      this.body = Message._formatMessage(body, this._bodyFormat)
+      this._bodyLoaded = true
+      return this
+    })
+  }
+
   /**
    * Changes the visibility timeout of the message to 0.
+   * @returns {Promise} Resolves when the message has been released, or immediately if it was already handled
    */
   release() {
-    if (!this._handled) {
-      this._squiss.releaseMessage(this)
-      this._handled = true
-    }
+    if (this._handled) return Promise.resolve()
+    this._handled = true
+    return this._squiss.releaseMessage(this)
+  }
+
+  /**
+   * Makes the message available again after a delay that grows with the number of times it has been received. See
+   * {@link Squiss#retryMessageLater} for details.
+   * @returns {Promise} Resolves when the message's VisibilityTimeout has been changed, or immediately if it was
+   *    already handled
+   */
+  retryLater() {
+    if (this._handled) return Promise.resolve()
+    this._handled = true
+    return this._squiss.retryMessageLater(this)
   }
 
   /**
@@ -73,19 +213,48 @@ class Message {
   changeVisibility(timeoutInSeconds) {
     return this._squiss.changeMessageVisibility(this, timeoutInSeconds)
   }
+
+  /**
+   * Gets the value of one of the SQS system attributes of this message, such as SentTimestamp.
+   * @param {string} name The name of the attribute
+   * @returns {string|null} The attribute's value, or null if it was not received
+   * @private
+   */
+  _getSystemAttribute(name) {
+    const attrs = this.raw.Attributes
+    return attrs && attrs[name] !== undefined ? attrs[name] : null
+  }
 }
 
 /**
  * Parses a message according to the given format.
  * @param {string} msg The message to be parsed
- * @param {string} format The format of the message. Currently supports "json".
- * @returns {Object|string} The parsed message, or the original message string if the format type is unknown.
+ * @param {string} [format="plain"] The name of the codec with which to decode the message
+ * @returns {*} The decoded message
+ * @private
+ */
+Message._formatMessage = (msg, format) => codecs.get(format).decode(msg)
+
+/**
+ * Creates a message body that points to a body saved in a blob store.
+ * @param {string} key The key under which the body was saved
+ * @returns {string} The message body to be sent in its place
+ * @private
+ */
+Message._createBlobPointer = key => JSON.stringify([ BLOB_POINTER, { key } ])
+
+/**
+ * Gets the blob store key from a message body, if that body was created by {@link Message._createBlobPointer}.
+ * @param {string} body The message body to be checked
+ * @returns {string|null} The blob store key, or null if the body is not a pointer
  * @private
  */
-Message._formatMessage = (msg, format) => {
-  switch (format) {
-  case 'json': return JSON.parse(msg)
-  default: return msg
+Message._getBlobKey = body => {
+  if (typeof body !== 'string' || body.indexOf(`["${BLOB_POINTER}",`) !== 0) return null
+  try {
+    return JSON.parse(body)[1].key || null
+  } catch (e) {
+    return null
   }
 }
 
@@ -0,0 +1,123 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+/**
+ * The default upper bounds, in milliseconds, of the buckets into which durations are counted.
+ * @type {Array<number>}
+ */
+const DEFAULT_BUCKETS_MS = [ 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 20000, 30000, 60000 ]
+
+/**
+ * Maps the events emitted by Squiss to the counters they increment.
+ * @type {Object}
+ */
+const COUNTED_EVENTS = {
+  handled: 'messagesHandled',
+  deleted: 'messagesDeleted',
+  delError: 'deleteErrors',
+  error: 'errors',
+  handlerError: 'handlerErrors',
+  timeoutExtended: 'timeoutExtensions',
+  autoExtendFail: 'timeoutExtensionErrors'
+}
+
+/**
+ * Creates an empty histogram.
+ * @param {Array<number>} bounds The upper bounds of the histogram's buckets, in ascending order
+ * @returns {{bounds: Array<number>, counts: Array<number>, count: number, sum: number}} The histogram
+ */
+function createHistogram(bounds) {
+  return { bounds, counts: bounds.map(() => 0), count: 0, sum: 0 }
+}
+
+/**
+ * Counts a value in a histogram.
+ * @param {Object} histogram The histogram, as created by {@link createHistogram}
+ * @param {number} value The value to be counted
+ */
+function observe(histogram, value) {
+  histogram.count++
+  histogram.sum += value
+  histogram.bounds.forEach((bound, idx) => {
+    if (value <= bound) histogram.counts[idx]++
+  })
+}
+
+/**
+ * Copies a histogram into a plain object that won't change as more values are counted.
+ * @param {Object} histogram The histogram, as created by {@link createHistogram}
+ * @returns {{count: number, sum: number, buckets: Array<{le: number, count: number}>}} The snapshot, in which each
+ *    bucket holds the number of values less than or equal to `le`
+ */
+function snapshot(histogram) {
+  return {
+    count: histogram.count,
+    sum: histogram.sum,
+    buckets: histogram.bounds.map((le, idx) => ({ le, count: histogram.counts[idx] }))
+  }
+}
+
+/**
+ * Metrics keeps counters and histograms of what a Squiss instance is doing, based on the events it emits. Squiss
+ * passes every event it emits to {@link #record}, so nothing needs to be listening for them, and the `error` event
+ * keeps its usual behavior of throwing when there are no listeners.
+ */
+class Metrics {
+
+  /**
+   * Creates a new Metrics object.
+   * @param {Object} [opts] An object containing options mappings
+   * @param {Array<number>} [opts.bucketsMs] The upper bounds, in milliseconds, of the histogram buckets into which
+   *    poll latency and handling duration are counted
+   */
+  constructor(opts) {
+    opts = opts || {}
+    const bounds = (opts.bucketsMs || DEFAULT_BUCKETS_MS).slice().sort((a, b) => a - b)
+    this._counters = {
+      messagesReceived: 0,
+      messagesHandled: 0,
+      messagesDeleted: 0,
+      deleteErrors: 0,
+      errors: 0,
+      handlerErrors: 0,
+      timeoutExtensions: 0,
+      timeoutExtensionErrors: 0
+    }
+    this._pollLatency = createHistogram(bounds)
+    this._handlingDuration = createHistogram(bounds)
+  }
+
+  /**
+   * Gets a snapshot of the metrics collected so far.
+   * @returns {Object} The value of every counter, along with the `pollLatencyMs` and `handlingDurationMs`
+   *    histograms
+   */
+  getStats() {
+    return Object.assign({}, this._counters, {
+      pollLatencyMs: snapshot(this._pollLatency),
+      handlingDurationMs: snapshot(this._handlingDuration)
+    })
+  }
+
+  /**
+   * Updates the metrics for an event emitted by Squiss.
+   * @param {string} event The name of the event
+   * @param {*} [data] The event's argument
+   */
+  record(event, data) {
+    const counter = COUNTED_EVENTS[event]
+    if (counter) this._counters[counter]++
+    if (event === 'gotMessages') {
+      this._counters.messagesReceived += data
+    } else if (event === 'pollComplete') {
+      observe(this._pollLatency, data.durationMs)
+    } else if (event === 'handled' && data && typeof data.handlingDurationMs === 'number') {
+      observe(this._handlingDuration, data.handlingDurationMs)
+    }
+  }
+}
+
+module.exports = Metrics
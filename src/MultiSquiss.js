@@ -0,0 +1,291 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+const prometheus = require('./prometheus')
+
+/**
+ * The events emitted by each Squiss instance that are re-emitted by the MultiSquiss, with the same arguments.
+ * @type {Array<string>}
+ */
+const FORWARDED_EVENTS = [
+  'aborted',
+  'autoExtendFail',
+  'deadLettered',
+  'delError',
+  'delQueued',
+  'delRetriesExhausted',
+  'deleted',
+  'error',
+  'gotMessages',
+  'handled',
+  'handlerError',
+  'invalidMessage',
+  'message',
+  'pollComplete',
+  'queueEmpty',
+  'rateLimited',
+  'released',
+  'retryScheduled',
+  'timeoutExtended'
+]
+
+/**
+ * The strategies that can be used to decide which queue gets free slots.
+ * @type {Array<string>}
+ */
+const STRATEGIES = [ 'priority', 'weighted' ]
+
+/**
+ * Option defaults.
+ * @type {Object}
+ */
+const optDefaults = {
+  maxInFlight: 100,
+  strategy: 'priority'
+}
+
+/**
+ * MultiSquiss polls several queues, each through its own Squiss instance, while sharing a single maxInFlight limit
+ * between them. When there aren't enough free slots for every queue to receive another batch of messages, the
+ * configured strategy decides which queue gets them.
+ */
+class MultiSquiss extends EventEmitter {
+
+  /**
+   * Creates a new MultiSquiss object.
+   * @param {Object} opts A map of options to configure this instance
+   * @param {Array<Squiss|{squiss: Squiss, weight: number}>} opts.queues The Squiss instances to be polled, one for
+   *    each queue, in order of priority. Each can be given on its own, or as an object with the instance as
+   *    `squiss` and its `weight` for the "weighted" strategy, which defaults to 1. The maxInFlight option of each
+   *    instance is replaced by the shared opts.maxInFlight, and its receiveBatchSize is capped to fit within it.
+   * @param {number} [opts.maxInFlight=100] The number of messages to keep in flight across all of the queues. Set
+   *    to 0 to remove the cap.
+   * @param {string} [opts.strategy="priority"] How to decide which queue gets free slots. With "priority", queues
+   *    earlier in opts.queues are always served first, though a queue that just came up empty gives way to the
+   *    others. With "weighted", each queue gets slots in proportion to its weight, by favoring the queue that has
+   *    received the fewest messages relative to its weight.
+   */
+  constructor(opts) {
+    super()
+    opts = opts || {}
+    if (!Array.isArray(opts.queues) || !opts.queues.length) {
+      throw new Error('MultiSquiss requires an array of "queues".')
+    }
+    this._opts = Object.assign({}, optDefaults, opts)
+    if (STRATEGIES.indexOf(this._opts.strategy) < 0) {
+      throw new Error(`MultiSquiss does not support the strategy "${this._opts.strategy}".`)
+    }
+    this._entries = opts.queues.map((queue, index) => this._addQueue(queue, index))
+    this._running = false
+  }
+
+  /**
+   * Getter for the number of messages currently in flight across all queues.
+   * @returns {number}
+   */
+  get inFlight() {
+    return this._entries.reduce((total, entry) => total + entry.squiss.inFlight, 0)
+  }
+
+  /**
+   * Getter for the Squiss instances being polled, in order of priority.
+   * @returns {Array<Squiss>}
+   */
+  get queues() {
+    return this._entries.map(entry => entry.squiss)
+  }
+
+  /**
+   * Getter to determine whether the queues are being polled.
+   * @returns {boolean}
+   */
+  get running() {
+    return this._running
+  }
+
+  /**
+   * Formats the metrics of every queue in the Prometheus text exposition format, with each queue's metrics labeled
+   * with its name. See {@link Squiss#getPrometheusMetrics}.
+   * @param {Object} [opts] The formatting options accepted by {@link Squiss#getPrometheusMetrics}
+   * @returns {string} The metrics in the Prometheus text format
+   */
+  getPrometheusMetrics(opts) {
+    const sources = this._entries.map(entry => ({
+      stats: entry.squiss.getStats(),
+      labels: entry.squiss._getMetricsLabels()
+    }))
+    return prometheus.format(sources, opts)
+  }
+
+  /**
+   * Registers a handler function to be called with every message received from any of the queues. See
+   * {@link Squiss#process}.
+   * @param {function(Message): Promise|*} handler A function to be called with each received Message object
+   * @returns {MultiSquiss} This MultiSquiss instance, for chaining
+   */
+  process(handler) {
+    this._entries.forEach(entry => entry.squiss.process(handler))
+    return this
+  }
+
+  /**
+   * Stops polling every queue, waits for in-flight messages to be handled, and flushes pending deletes. See
+   * {@link Squiss#shutdown}.
+   * @param {Object} [opts] The options to pass to {@link Squiss#shutdown} for each queue
+   * @returns {Promise.<boolean>} Resolves with true if every queue was drained, or false if any had messages still in
+   *    flight when the timeout passed.
+   */
+  shutdown(opts) {
+    this._running = false
+    return Promise.all(this._entries.map(entry => entry.squiss.shutdown(opts)))
+      .then(results => results.every(drained => drained))
+  }
+
+  /**
+   * Starts polling the queues, in order of priority, for as long as there are slots available.
+   * @returns {Promise} Resolves when polling has started for every queue that has slots available
+   */
+  start() {
+    if (this._running) return Promise.resolve()
+    this._running = true
+    return Promise.all(this._entries.map(entry => entry.squiss.start())).then(() => this._resumeWaiting())
+  }
+
+  /**
+   * Stops polling every queue. See {@link Squiss#stop}.
+   * @param {boolean} [soft=false] If true, active requests for new messages will not be aborted
+   */
+  stop(soft) {
+    this._running = false
+    this._entries.forEach(entry => entry.squiss.stop(soft))
+  }
+
+  /**
+   * Adds a middleware function to the chain for every queue. See {@link Squiss#use}.
+   * @param {function(Message, function(): Promise): Promise|*} middleware The middleware function
+   * @returns {MultiSquiss} This MultiSquiss instance, for chaining
+   */
+  use(middleware) {
+    this._entries.forEach(entry => entry.squiss.use(middleware))
+    return this
+  }
+
+  /**
+   * Takes control of a Squiss instance's polling, and forwards its events.
+   * @param {Squiss|{squiss: Squiss, weight: number}} queue The Squiss instance, or an object containing it
+   * @param {number} index The position of the queue in opts.queues
+   * @returns {{squiss: Squiss, weight: number, index: number, received: number, lastEmpty: boolean}} The entry that
+   *    tracks the queue
+   * @private
+   */
+  _addQueue(queue, index) {
+    const entry = {
+      squiss: queue.squiss || queue,
+      weight: queue.weight || 1,
+      index,
+      received: 0,
+      lastEmpty: false
+    }
+    const squiss = entry.squiss
+    if (this._opts.maxInFlight) {
+      squiss._opts.receiveBatchSize = Math.min(squiss._opts.receiveBatchSize, this._opts.maxInFlight)
+    }
+    squiss._slotGate = () => this._slotsAvailable(entry)
+    FORWARDED_EVENTS.forEach(event => {
+      squiss.on(event, arg => this.emit(event, arg))
+    })
+    squiss.on('gotMessages', count => {
+      entry.received += count
+      entry.lastEmpty = false
+    })
+    squiss.on('queueEmpty', () => {
+      entry.lastEmpty = true
+      this._resumeWaiting()
+    })
+    squiss.on('maxInFlight', () => this._resumeWaiting())
+    squiss.on('handled', () => {
+      this._resumeWaiting()
+      if (!this.inFlight) this.emit('drained')
+    })
+    return entry
+  }
+
+  /**
+   * Compares two queues for sorting them in the order in which they should get free slots. A queue that just came up
+   * empty comes after those that didn't, so that it doesn't hold on to slots the others could use. Otherwise, queues
+   * are compared by their rank according to the configured strategy, then by their position in opts.queues.
+   * @param {Object} a The entry tracking the first queue
+   * @param {Object} b The entry tracking the second queue
+   * @returns {number} A negative number if the first queue should get slots first, or a positive number if the second
+   *    should
+   * @private
+   */
+  _compareQueues(a, b) {
+    return Number(a.lastEmpty) - Number(b.lastEmpty) || this._getRank(a) - this._getRank(b) || a.index - b.index
+  }
+
+  /**
+   * Gets the number of messages that may be received by a queue's next batch.
+   * @param {Object} entry The entry tracking the queue
+   * @returns {number} The queue's receiveBatchSize
+   * @private
+   */
+  _getBatchSize(entry) {
+    return entry.squiss._opts.receiveBatchSize
+  }
+
+  /**
+   * Gets the rank of a queue according to the configured strategy. The queue with the lowest rank gets free slots
+   * first.
+   * @param {Object} entry The entry tracking the queue
+   * @returns {number} The queue's rank
+   * @private
+   */
+  _getRank(entry) {
+    if (this._opts.strategy === 'weighted') return entry.received / entry.weight
+    return entry.index
+  }
+
+  /**
+   * Gives every paused queue the chance to resume polling, starting with the queue that should get free slots first,
+   * until one can't. A queue only gives way for having come up empty once, after which it's compared by its rank
+   * again.
+   * @private
+   */
+  _resumeWaiting() {
+    if (!this._running) return
+    const waiting = this._entries.filter(entry => entry.squiss._paused)
+    waiting.sort((a, b) => this._compareQueues(a, b))
+    waiting.every(entry => {
+      entry.squiss._resumePolling()
+      return !entry.squiss._paused
+    })
+    waiting.forEach(entry => { entry.lastEmpty = false })
+  }
+
+  /**
+   * Determines whether a queue can receive another batch of messages. There must be enough free slots for its batch
+   * after setting aside a batch for every other queue that's actively polling, and for every paused queue that
+   * should get free slots before it.
+   * @param {Object} entry The entry tracking the queue asking for slots
+   * @returns {boolean} true if the queue may receive another batch; false otherwise.
+   * @private
+   */
+  _slotsAvailable(entry) {
+    if (!this._opts.maxInFlight) return true
+    const reserved = this._entries.reduce((total, other) => {
+      if (other === entry || !other.squiss.running) return total
+      if (!other.squiss._paused || this._compareQueues(other, entry) < 0) {
+        return total + this._getBatchSize(other)
+      }
+      return total
+    }, 0)
+    return this.inFlight + reserved + this._getBatchSize(entry) <= this._opts.maxInFlight
+  }
+}
+
+module.exports = MultiSquiss
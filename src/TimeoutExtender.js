@@ -61,18 +61,29 @@ class TimeoutExtender {
     this._index = {}
     this._timer = null
     this._squiss = squiss
-    this._squiss.on('handled', msg => this.deleteMessage(msg))
-    this._squiss.on('message', msg => this.addMessage(msg))
+    this._onHandled = msg => this.deleteMessage(msg)
+    this._onMessage = msg => this.addMessage(msg)
+    this._squiss.on('handled', this._onHandled)
+    this._squiss.on('message', this._onMessage)
     this._visTimeout = this._opts.visibilityTimeoutSecs * 1000
     this._stopAfter = Math.min(this._opts.noExtensionsAfterSecs * 1000, MAX_MESSAGE_AGE_MS)
     this._apiLeadMs = Math.min(this._opts.advancedCallMs, this._visTimeout)
   }
 
   /**
-   * Adds a new message to the tracker.
+   * Getter for the number of messages currently being tracked.
+   * @returns {number}
+   */
+  get size() {
+    return Object.keys(this._index).length
+  }
+
+  /**
+   * Adds a new message to the tracker, if it isn't already being tracked.
    * @param {Message} message A Squiss Message object
    */
   addMessage(message) {
+    if (this._index[message.raw.MessageId]) return
     const now = Date.now()
     this._addNode({
       message,
@@ -90,6 +101,20 @@ class TimeoutExtender {
     if (node) this._deleteNode(node)
   }
 
+  /**
+   * Stops extending messages entirely. The pending timer is cleared, every tracked message is forgotten, and the
+   * extender detaches itself from the Squiss instance's events.
+   */
+  stop() {
+    if (this._timer) clearTimeout(this._timer)
+    this._timer = null
+    this._head = null
+    this._tail = null
+    this._index = {}
+    this._squiss.removeListener('handled', this._onHandled)
+    this._squiss.removeListener('message', this._onMessage)
+  }
+
   /**
    * Adds a message wrapper node to the linked list and hash map index.
    * @param {{message: Message, receivedOn: number, timerOn: number}} node The node
@@ -163,7 +188,10 @@ class TimeoutExtender {
 
   /**
    * Extends the VisibilityTimeout of the message contained in the provided wrapper node,
-   * and moves the node to the tail of the linked list.
+   * and moves the node to the tail of the linked list. The extension is queued through
+   * the Squiss instance so that it can be batched with other VisibilityTimeout changes.
+   * If SQS reports that this particular message could not be extended, the node is
+   * removed and the `autoExtendFail` event is emitted.
    * @param {{message: Message, receivedOn: number, timerOn: number}} node The node
    * object to be renewed
    * @private
@@ -171,11 +199,11 @@ class TimeoutExtender {
   _renewNode(node) {
     const extendByMs = Math.min(this._visTimeout, MAX_MESSAGE_AGE_MS - this._getNodeAge(node))
     const extendBySecs = Math.floor(extendByMs / 1000)
-    this._squiss.changeMessageVisibility(node.message, extendBySecs)
+    this._squiss.queueVisibilityChange(node.message, extendBySecs)
       .then(() => this._squiss.emit('timeoutExtended', node.message))
       .catch(err => {
-        if (err.message.match(/Message does not exist or is not available/)) {
-          this._deleteNode(node)
+        if (err.failure || err.message.match(/Message does not exist or is not available/)) {
+          if (this._index[node.message.raw.MessageId] === node) this._deleteNode(node)
           this._squiss.emit('autoExtendFail', { message: node.message, error: err })
         } else {
           this._squiss.emit('error', err)
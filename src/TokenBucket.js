@@ -0,0 +1,49 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+/**
+ * A TokenBucket limits how often something can happen. It holds up to `capacity` tokens, refilled continuously at
+ * `ratePerSec` tokens per second, and each event takes one token. The bucket starts full, so up to `capacity`
+ * events can happen at once before the rate kicks in.
+ */
+class TokenBucket {
+
+  /**
+   * Creates a new TokenBucket.
+   * @param {Object} opts An object containing options mappings
+   * @param {number} opts.ratePerSec The number of tokens added to the bucket every second
+   * @param {number} [opts.capacity=1] The maximum number of tokens the bucket can hold
+   */
+  constructor(opts) {
+    this._ratePerMs = opts.ratePerSec / 1000
+    this._capacity = opts.capacity || 1
+    this._tokens = this._capacity
+    this._lastRefill = Date.now()
+  }
+
+  /**
+   * Reserves a token, whether or not one is available yet. Tokens reserved ahead of time are paid for out of future
+   * refills, so each caller waits in turn.
+   * @returns {number} The number of milliseconds to wait before using the reserved token
+   */
+  reserve() {
+    this._refill()
+    this._tokens--
+    return this._tokens >= 0 ? 0 : Math.ceil(-this._tokens / this._ratePerMs)
+  }
+
+  /**
+   * Adds the tokens that have accumulated since the last refill, up to the bucket's capacity.
+   * @private
+   */
+  _refill() {
+    const now = Date.now()
+    this._tokens = Math.min(this._tokens + (now - this._lastRefill) * this._ratePerMs, this._capacity)
+    this._lastRefill = now
+  }
+}
+
+module.exports = TokenBucket
@@ -0,0 +1,95 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+/**
+ * The custom SQS DataType used to send booleans, which SQS has no native type for.
+ * @type {string}
+ */
+const BOOLEAN_TYPE = 'String.boolean'
+
+/**
+ * Converts a single plain value to an SQS MessageAttributeValue.
+ * @param {string} name The name of the attribute, used for error reporting
+ * @param {string|number|boolean|Buffer|Object} value The value to be encoded. Objects that already have a `DataType`
+ *    are assumed to be in the SQS format, and are passed through unchanged.
+ * @returns {Object} The SQS MessageAttributeValue
+ */
+function encodeValue(name, value) {
+  if (Buffer.isBuffer(value)) return { DataType: 'Binary', BinaryValue: value }
+  switch (typeof value) {
+  case 'string': return { DataType: 'String', StringValue: value }
+  case 'number': return { DataType: 'Number', StringValue: value.toString() }
+  case 'boolean': return { DataType: BOOLEAN_TYPE, StringValue: value.toString() }
+  default:
+    if (value && value.DataType) return value
+    throw new Error(`Message attribute "${name}" must be a string, number, boolean, or Buffer`)
+  }
+}
+
+/**
+ * Converts a single SQS MessageAttributeValue to a plain value.
+ * @param {{DataType: string, StringValue: string, BinaryValue: Buffer}} attr The attribute to be decoded
+ * @returns {string|number|boolean|Buffer} The plain value. Attributes with a custom type are decoded according to
+ *    their base type, unless the type is the one used by {@link encode} for booleans.
+ */
+function decodeValue(attr) {
+  if (attr.DataType === BOOLEAN_TYPE) return attr.StringValue === 'true'
+  switch (attr.DataType.split('.')[0]) {
+  case 'Number': return Number(attr.StringValue)
+  case 'Binary': return attr.BinaryValue
+  default: return attr.StringValue
+  }
+}
+
+/**
+ * Converts a mapping of plain attribute values to the MessageAttributes format required by SQS. Attributes with a
+ * value of `null` or `undefined` are omitted.
+ * @param {Object} attributes A mapping of attribute names to strings, numbers, booleans, Buffers, or objects already
+ *    in the SQS MessageAttributeValue format
+ * @returns {Object} The SQS MessageAttributes mapping
+ * @throws {Error} If any value is of an unsupported type
+ */
+function encode(attributes) {
+  const encoded = {}
+  Object.keys(attributes).forEach(name => {
+    const value = attributes[name]
+    if (value !== null && value !== undefined) encoded[name] = encodeValue(name, value)
+  })
+  return encoded
+}
+
+/**
+ * Converts the MessageAttributes of a received SQS message to a mapping of plain values.
+ * @param {Object} [attributes] The SQS MessageAttributes mapping
+ * @returns {Object} A mapping of attribute names to strings, numbers, booleans, or Buffers
+ */
+function decode(attributes) {
+  const decoded = {}
+  Object.keys(attributes || {}).forEach(name => {
+    decoded[name] = decodeValue(attributes[name])
+  })
+  return decoded
+}
+
+/**
+ * Calculates the number of bytes that SQS counts toward the size of a message for its MessageAttributes: the sum of
+ * the length of each attribute's name, DataType, and value.
+ * @param {Object} [attributes] The SQS MessageAttributes mapping
+ * @returns {number} The size of the attributes, in bytes
+ */
+function getSize(attributes) {
+  return Object.keys(attributes || {}).reduce((total, name) => {
+    const attr = attributes[name]
+    const value = attr.BinaryValue || attr.StringValue
+    return total + Buffer.byteLength(name) + Buffer.byteLength(attr.DataType) + Buffer.byteLength(value)
+  }, 0)
+}
+
+module.exports = {
+  encode,
+  decode,
+  getSize
+}
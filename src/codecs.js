@@ -0,0 +1,69 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+/**
+ * Converts an outgoing message to a string, passing strings through unchanged and calling JSON.stringify on
+ * anything else.
+ * @param {string|Object} body The message body to be sent
+ * @returns {string} The message body as a string
+ */
+function stringify(body) {
+  return typeof body === 'object' ? JSON.stringify(body) : body
+}
+
+/**
+ * The registered codecs, mapped by name. Each codec has an `encode` function to convert an outgoing message body to
+ * the string to be sent to SQS, and a `decode` function to convert the string body of a received message back.
+ * @type {Object<string, {encode: function(*): string, decode: function(string): *}>}
+ */
+const registry = {
+  plain: {
+    encode: stringify,
+    decode: body => body
+  },
+  json: {
+    encode: stringify,
+    decode: body => JSON.parse(body)
+  },
+  base64: {
+    encode: body => new Buffer(body).toString('base64'),
+    decode: body => new Buffer(body, 'base64')
+  }
+}
+
+/**
+ * Gets a registered codec by name.
+ * @param {string} [name="plain"] The name of the codec
+ * @returns {{encode: function(*): string, decode: function(string): *}} The codec
+ * @throws {Error} If no codec has been registered with the given name
+ */
+function get(name) {
+  const codec = registry[name || 'plain']
+  if (!codec) throw new Error(`No codec has been registered for the bodyFormat "${name}"`)
+  return codec
+}
+
+/**
+ * Registers a codec, which can then be used by name as the bodyFormat of a Squiss instance. Registering a codec
+ * with the name of an existing one replaces it.
+ * @param {string} name The name of the codec
+ * @param {Object} codec The codec to be registered
+ * @param {function(*): string} codec.encode A function that accepts an outgoing message body, and returns the string
+ *    to be sent to SQS
+ * @param {function(string): *} codec.decode A function that accepts the string body of a received message, and
+ *    returns the decoded body
+ */
+function register(name, codec) {
+  if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+    throw new Error('A codec requires both an "encode" and a "decode" function')
+  }
+  registry[name] = codec
+}
+
+module.exports = {
+  get,
+  register
+}
@@ -0,0 +1,57 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const zlib = require('zlib')
+
+/**
+ * The name of the message attribute that marks a message body as compressed. Its value is the compression method.
+ * @type {string}
+ */
+const ATTRIBUTE = 'SquissCompression'
+
+/**
+ * The compression method used for outgoing message bodies.
+ * @type {string}
+ */
+const METHOD = 'gzip'
+
+/**
+ * Compresses a message body with gzip, and base64-encodes the result so that it can be sent through SQS.
+ * @param {string} body The message body to be compressed
+ * @returns {Promise.<string>} Resolves with the compressed body
+ */
+function compress(body) {
+  return new Promise((resolve, reject) => {
+    zlib.gzip(body, (err, res) => {
+      if (err) reject(err)
+      else resolve(res.toString('base64'))
+    })
+  })
+}
+
+/**
+ * Decompresses a message body that was compressed with {@link compress}.
+ * @param {string} body The compressed message body
+ * @param {string} method The compression method, as found in the message's compression attribute
+ * @returns {Promise.<string>} Resolves with the original message body. Rejects if the compression method is not
+ *    supported, or the body could not be decompressed.
+ */
+function decompress(body, method) {
+  if (method !== METHOD) return Promise.reject(new Error(`Unsupported message compression method: ${method}`))
+  return new Promise((resolve, reject) => {
+    zlib.gunzip(new Buffer(body, 'base64'), (err, res) => {
+      if (err) reject(err)
+      else resolve(res.toString('utf8'))
+    })
+  })
+}
+
+module.exports = {
+  ATTRIBUTE,
+  METHOD,
+  compress,
+  decompress
+}
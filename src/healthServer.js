@@ -0,0 +1,63 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const http = require('http')
+
+/**
+ * Option defaults.
+ * @type {Object}
+ */
+const optDefaults = {
+  port: 8080,
+  host: undefined,
+  path: '/health'
+}
+
+/**
+ * Creates the function that answers each request made to the health server.
+ * @param {function(): {healthy: boolean}} getHealth A function that returns the current health status
+ * @param {string} path The path on which the health status is served
+ * @returns {function(http.IncomingMessage, http.ServerResponse)} The request listener
+ */
+function createListener(getHealth, path) {
+  return (req, res) => {
+    if (req.url.split('?')[0] !== path) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' })
+      res.end('Not Found\n')
+      return
+    }
+    const status = getHealth()
+    res.writeHead(status.healthy ? 200 : 503, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(status))
+  }
+}
+
+/**
+ * Starts a tiny HTTP server that serves a health status as JSON, for use as a liveness or readiness probe. Requests
+ * to the health path are answered with a 200 status code if the status reports itself healthy, or 503 otherwise.
+ * Requests to any other path are answered with a 404.
+ * @param {function(): {healthy: boolean}} getHealth A function that returns the current health status
+ * @param {Object} [opts] A mapping of server options
+ * @param {number} [opts.port=8080] The port on which to listen. Set to 0 to listen on any free port.
+ * @param {string} [opts.host] The host on which to listen. Defaults to every available interface.
+ * @param {string} [opts.path="/health"] The path on which the health status is served
+ * @returns {Promise.<http.Server>} Resolves with the server once it's listening, rejects if it couldn't listen
+ */
+function start(getHealth, opts) {
+  opts = Object.assign({}, optDefaults, opts)
+  const server = http.createServer(createListener(getHealth, opts.path))
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(opts.port, opts.host, () => {
+      server.removeListener('error', reject)
+      resolve(server)
+    })
+  })
+}
+
+module.exports = {
+  start
+}
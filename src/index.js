@@ -4,11 +4,24 @@
 
 'use strict'
 
+const AdaptiveConcurrency = require('./AdaptiveConcurrency')
 const AWS = require('aws-sdk')
+const attributeCodec = require('./attributes')
+const codecs = require('./codecs')
+const compression = require('./compression')
+const crypto = require('crypto')
 const EventEmitter = require('events').EventEmitter
+const FileBlobStore = require('./FileBlobStore')
+const healthServer = require('./healthServer')
 const Message = require('./Message')
+const Metrics = require('./Metrics')
+const MultiSquiss = require('./MultiSquiss')
+const prometheus = require('./prometheus')
+const retry = require('./retry')
 const url = require('url')
 const TimeoutExtender = require('./TimeoutExtender')
+const TokenBucket = require('./TokenBucket')
+const tracing = require('./tracing')
 
 /**
  * The maximum number of messages that can be sent in an SQS sendMessageBatch request.
@@ -16,6 +29,47 @@ const TimeoutExtender = require('./TimeoutExtender')
  */
 const AWS_MAX_SEND_BATCH = 10
 
+/**
+ * The maximum total size, in bytes, of all messages in an SQS sendMessageBatch request, including their attributes.
+ * @type {number}
+ */
+const AWS_MAX_SEND_BATCH_BYTES = 262144
+
+/**
+ * The maximum VisibilityTimeout, in seconds, that SQS allows to be set on a message.
+ * @type {number}
+ */
+const AWS_MAX_VISIBILITY_SECS = 43200
+
+/**
+ * The error message used when attempting to send a message to a FIFO queue without a message group ID.
+ * @type {string}
+ */
+const FIFO_GROUP_ERROR = 'Squiss requires a groupId when sending to a FIFO queue'
+
+/**
+ * The error message used when a message passed to {@link Squiss#sendMessages} with opts.entries is not a valid batch
+ * entry object.
+ * @type {string}
+ */
+const BATCH_ENTRY_ERROR = 'Squiss.sendMessages requires each entry to be an object with a "body", and no keys ' +
+  'other than "body", "delay", "attributes", "groupId", and "deduplicationId"'
+
+/**
+ * The maximum number of handler errors to remember, so that the last error for a message can be recorded when it's
+ * sent to the dead-letter queue.
+ * @type {number}
+ */
+const MAX_TRACKED_ERRORS = 1000
+
+/**
+ * The number of milliseconds, past the time it was released until, for which a message released by
+ * opts.maxMessagesPerSecond keeps its reserved delivery slot. Messages that take longer than this to be received
+ * again, such as those picked up by another poller, have to wait their turn again.
+ * @type {number}
+ */
+const RATE_RESERVATION_GRACE_MS = 60000
+
 /**
  * Option defaults.
  * @type {Object}
@@ -25,6 +79,14 @@ const optDefaults = {
   receiveWaitTimeSecs: 20,
   deleteBatchSize: 10,
   deleteWaitMs: 2000,
+  deleteRetries: 3,
+  deleteRetryBaseMs: 100,
+  deleteRetryMaxMs: 5000,
+  sendRetries: 0,
+  sendRetryBaseMs: 100,
+  sendRetryMaxMs: 5000,
+  visibilityBatchSize: 10,
+  visibilityBatchWaitMs: 100,
   maxInFlight: 100,
   unwrapSns: false,
   bodyFormat: 'plain',
@@ -35,7 +97,150 @@ const optDefaults = {
   delaySecs: 0,
   maxMessageBytes: 262144,
   messageRetentionSecs: 345600,
-  autoExtendTimeout: false
+  contentBasedDeduplication: false,
+  autoExtendTimeout: false,
+  handlerFailurePolicy: 'release',
+  orderByGroup: false,
+  blobStore: null,
+  blobThresholdBytes: 262144,
+  compressBodies: false,
+  compressThresholdBytes: 1024,
+  maxReceives: 0,
+  deadLetterQueue: null,
+  createDeadLetterQueue: false,
+  deadLetterQueueName: null,
+  redriveMaxReceiveCount: 5,
+  backoffBaseSecs: 30,
+  backoffFactor: 2,
+  backoffMaxSecs: 43200,
+  attributeNames: [],
+  validator: null,
+  invalidMessageAction: 'keep',
+  adaptiveConcurrency: false,
+  minInFlight: 1,
+  targetHandlingMs: 0,
+  maxFailureRate: 0.1,
+  adaptiveWindowSize: 20,
+  adaptiveIncrease: 1,
+  adaptiveDecreaseFactor: 0.5,
+  maxMessagesPerSecond: 0,
+  rateLimitBurst: 1,
+  rateLimitAction: 'hold',
+  metricsBucketsMs: null,
+  tracing: null,
+  healthMaxPollErrors: 3,
+  healthMaxPollAgeMs: null,
+  healthMaxPausedMs: 600000
+}
+
+/**
+ * The keys allowed in an object passed to {@link Squiss#sendMessages} to specify options for an individual message.
+ * @type {Array<string>}
+ */
+const BATCH_ENTRY_KEYS = [ 'body', 'delay', 'attributes', 'groupId', 'deduplicationId' ]
+
+/**
+ * Resolves an option that may be given either as a plain value, or as a function that produces the value for a
+ * specific message.
+ * @param {*|function(string|Object, number): *} opt The option value, or a function to produce it
+ * @param {string|Object} message The message for which the option is being resolved
+ * @param {number} index The index of the message in the array of messages being sent
+ * @returns {*} The resolved option value
+ */
+function getMessageOption(opt, message, index) {
+  return typeof opt === 'function' ? opt(message, index) : opt
+}
+
+/**
+ * Gets a readable message from an error thrown or rejected by user code, which may not be an Error at all.
+ * @param {Error|*} err The error
+ * @returns {string} The error's message, or the error itself converted to a string
+ */
+function getErrorMessage(err) {
+  return err && err.message ? err.message : String(err)
+}
+
+/**
+ * Generates the default name of the dead-letter queue for a queue, keeping the ".fifo" suffix at the end of the name
+ * for FIFO queues, as SQS requires.
+ * @param {string} queueName The name of the queue for which a dead-letter queue is being created
+ * @returns {string} The name of the dead-letter queue
+ */
+function getDeadLetterQueueName(queueName) {
+  const fifoMatch = queueName.match(/^(.*)\.fifo$/)
+  return fifoMatch ? `${fifoMatch[1]}-dlq.fifo` : `${queueName}-dlq`
+}
+
+/**
+ * Determines whether a message passed to {@link Squiss#sendMessages} with opts.entries is a valid object specifying
+ * the body and options of an individual message. Such objects must have a `body` key, and no keys other than those
+ * in BATCH_ENTRY_KEYS.
+ * @param {*} message The message to be checked
+ * @returns {boolean} true if the message is a valid batch entry object; false otherwise.
+ */
+function isBatchEntry(message) {
+  if (!message || typeof message !== 'object' || !message.hasOwnProperty('body')) return false
+  return Object.keys(message).every(key => BATCH_ENTRY_KEYS.indexOf(key) >= 0)
+}
+
+/**
+ * Splits sendMessageBatch entries into batches that SQS will accept, each holding no more than AWS_MAX_SEND_BATCH
+ * messages and AWS_MAX_SEND_BATCH_BYTES in total. Entries are kept in order, and a new batch is started whenever the
+ * next entry won't fit in the current one. Any entry larger than maxMessageBytes on its own is not placed in a batch,
+ * and a failure in the format SQS reports for batch entries is produced for it instead.
+ * @param {Array<Object>} entries The sendMessageBatch entries to be split
+ * @param {number} maxMessageBytes The maximum size of a single message, in bytes
+ * @returns {{batches: Array<Array<Object>>, failed: Array<{Id: string, SenderFault: boolean, Code: string,
+ *    Message: string}>}} The batches to be sent, and the failures for entries that were too large
+ */
+function packBatches(entries, maxMessageBytes) {
+  const batches = []
+  const failed = []
+  let batch = null
+  let batchBytes = 0
+  entries.forEach(entry => {
+    const bytes = Buffer.byteLength(entry.MessageBody) + attributeCodec.getSize(entry.MessageAttributes)
+    if (bytes > maxMessageBytes) {
+      failed.push({
+        Id: entry.Id,
+        SenderFault: true,
+        Code: 'MessageTooLong',
+        Message: `Message is ${bytes} bytes including attributes, which exceeds the maximum of ${maxMessageBytes}`
+      })
+      return
+    }
+    if (!batch || batch.length >= AWS_MAX_SEND_BATCH || batchBytes + bytes > AWS_MAX_SEND_BATCH_BYTES) {
+      batch = []
+      batchBytes = 0
+      batches.push(batch)
+    }
+    batch.push(entry)
+    batchBytes += bytes
+  })
+  return { batches, failed }
+}
+
+/**
+ * Completes a batch entry object for a message passed to {@link Squiss#sendMessages}, filling in any options the
+ * entry doesn't specify for itself with those that apply to the whole batch. Attributes are merged, with the
+ * entry's own attributes taking precedence.
+ * @param {{body: *, delay: number, attributes: Object, groupId: string, deduplicationId: string}} entry The batch
+ *    entry object, which must have a body
+ * @param {number} index The index of the message in the array of messages being sent
+ * @param {number} [delay] The delay to apply by default
+ * @param {Object} [attributes] The attributes to apply by default
+ * @param {Object} opts A mapping of FIFO queue options, as accepted by {@link Squiss#sendMessages}
+ * @returns {{body: string|Object, delay: number, attributes: Object, groupId: string, deduplicationId: string}} The
+ *    batch entry object
+ */
+function toBatchEntry(entry, index, delay, attributes, opts) {
+  return {
+    body: entry.body,
+    delay: entry.delay === undefined ? delay : entry.delay,
+    attributes: entry.attributes ? Object.assign({}, attributes, entry.attributes) : attributes,
+    groupId: entry.groupId || getMessageOption(opts.groupId, entry.body, index),
+    deduplicationId: entry.deduplicationId || getMessageOption(opts.deduplicationId, entry.body, index)
+  }
 }
 
 /**
@@ -65,6 +270,25 @@ class Squiss extends EventEmitter {
    *    delete in the batch; whichever comes first. Set to 1 to make all deletes immediate. Maximum 10.
    * @param {number} [opts.deleteWaitMs=2000] The number of milliseconds to wait after the first queued message
    *    deletion before deleting the message(s) from SQS
+   * @param {number} [opts.deleteRetries=3] The number of times to retry deleting a message when SQS reports a failure
+   *    that's likely to be temporary, such as throttling, a network error, or an internal error. Set to 0 to disable
+   *    retries.
+   * @param {number} [opts.deleteRetryBaseMs=100] The delay before the first retry of a failed deletion, in
+   *    milliseconds. Each successive retry waits exponentially longer, with some random jitter.
+   * @param {number} [opts.deleteRetryMaxMs=5000] The maximum delay between retries of a failed deletion, in
+   *    milliseconds.
+   * @param {number} [opts.sendRetries=0] The number of times {@link #sendMessages} should resend messages that SQS
+   *    fails to accept for a reason that's likely to be temporary, such as throttling or an internal error. Only the
+   *    failed messages are resent. Set to 0 to disable retries.
+   * @param {number} [opts.sendRetryBaseMs=100] The delay before the first resend of failed messages, in milliseconds.
+   *    Each successive retry waits exponentially longer, with some random jitter.
+   * @param {number} [opts.sendRetryMaxMs=5000] The maximum delay between resends of failed messages, in milliseconds.
+   * @param {number} [opts.visibilityBatchSize=10] The number of VisibilityTimeout changes to send to SQS at one time,
+   *    when they're made by automatic timeout extensions or by releasing messages. Squiss will trigger a batch change
+   *    when this limit is reached, or when visibilityBatchWaitMs milliseconds have passed since the first queued change
+   *    in the batch; whichever comes first. Maximum 10.
+   * @param {number} [opts.visibilityBatchWaitMs=100] The number of milliseconds to wait after the first queued
+   *    VisibilityTimeout change before sending the batch to SQS
    * @param {number} [opts.maxInFlight=100] The number of messages to keep "in-flight", or processing simultaneously.
    *    When this cap is reached, no more messages will be polled until currently in-flight messages are marked as
    *    deleted or handled. Setting this to 0 will uncap your inFlight messages, pulling and delivering messages
@@ -77,8 +301,11 @@ class Squiss extends EventEmitter {
    * @param {boolean} [opts.unwrapSns=false] Set to `true` to denote that Squiss should treat each message as though
    *    it comes from a queue subscribed to an SNS endpoint, and automatically extract the message from the SNS
    *    metadata wrapper.
-   * @param {string} [opts.bodyFormat="plain"] The format of the incoming message. Set to "json" to automatically call
-   *    `JSON.parse()` on each incoming message.
+   * @param {string} [opts.bodyFormat="plain"] The name of the codec used for message bodies. Set to "json" to
+   *    automatically call `JSON.parse()` on each incoming message, "base64" to decode each incoming message to a
+   *    Buffer and base64-encode outgoing ones, or the name of any codec registered with {@link Squiss.registerCodec}.
+   *    The codec's `encode` function is also used for messages sent by {@link #sendMessage} and
+   *    {@link #sendMessages}.
    * @param {number} [opts.visibilityTimeoutSecs] The SQS VisibilityTimeout to apply to each message. This is the
    *    number of seconds that each received message should be made inaccessible to other receive calls, so that a
    *    message will not be received more than once before it is processed and deleted. If not specified, the default
@@ -93,10 +320,14 @@ class Squiss extends EventEmitter {
    * @param {number} [opts.delaySecs=0] The number of milliseconds by which to delay the delivery of new messages into
    *    the queue by default. This is only used when calling {@link #createQueue}.
    * @param {number} [opts.maxMessageBytes=262144] The maximum size of a single message, in bytes, that the queue can
-   *    support. This is only used when calling {@link #createQueue}. Default is the maximum, 256KB.
+   *    support. This is used when calling {@link #createQueue}, and {@link #sendMessages} reports any message larger
+   *    than this as failed without sending it. Default is the maximum, 256KB.
    * @param {number} [opts.messageRetentionSecs=345600] The amount of time for which to retain messages in the queue
    *    until they expire, in seconds. This is only used when calling {@link #createQueue}. Default is equivalent to
    *    4 days, maximum is 1209600 (14 days).
+   * @param {boolean} [opts.contentBasedDeduplication=false] If true, and the queue is a FIFO queue (its name ends in
+   *    ".fifo"), SQS will use a hash of each message's body as its deduplication ID when none is provided. This is
+   *    only used when calling {@link #createQueue}.
    * @param {boolean} [opts.autoExtendTimeout=false] If true, the VisibilityTimeout for all in-flight messages will
    *    be automatically extended when there are 5 seconds remaining before the VisibilityTimeout would normally
    *    expire. It will be extended by the VisibilityTimeout. The VisibilityTimeout used will be the one
@@ -108,6 +339,126 @@ class Squiss extends EventEmitter {
    * @param {Object} [opts.queuePolicy] If specified, will be set as the access policy of the queue when
    *    {@link #createQueue} is called. See http://docs.aws.amazon.com/IAM/latest/UserGuide/access_policies.html for
    *    more information.
+   * @param {string|Function} [opts.handlerFailurePolicy="release"] What to do with a message when the handler passed
+   *    to {@link #process} rejects or throws. Set to "release" to make the message immediately available again,
+   *    "keep" to leave it in the queue until its VisibilityTimeout expires, "retryLater" to make it available again
+   *    after a backoff delay (see {@link #retryMessageLater}), or "delete" to delete it. Alternatively, supply a
+   *    function that accepts the Message and the error, and handles the message itself.
+   * @param {boolean} [opts.orderByGroup=false] If true, the handler passed to {@link #process} will be called with
+   *    messages from the same FIFO message group one at a time, in the order they were received, while messages from
+   *    different groups are still processed in parallel. If the handler fails for any message, the messages queued
+   *    up behind it in the same group are released.
+   * @param {Object} [opts.blobStore] A store in which to save message bodies too large to be sent through SQS, such as
+   *    an instance of {@link FileBlobStore}. Any object with `put(key, body)`, `get(key)`, and `del(key)` functions
+   *    that return Promises can be used. Bodies larger than opts.blobThresholdBytes are saved to the store when sent,
+   *    and only a pointer to them is sent to SQS. Received pointers are replaced with the saved body before the
+   *    message is emitted, and the saved body is deleted along with the message.
+   * @param {number} [opts.blobThresholdBytes=262144] The size, in bytes, above which a message body will be saved to
+   *    opts.blobStore rather than sent to SQS. Applicable only if opts.blobStore is set.
+   * @param {boolean} [opts.compressBodies=false] If true, message bodies larger than opts.compressThresholdBytes will
+   *    be compressed with gzip and base64-encoded when sent, and marked with the `SquissCompression` message
+   *    attribute. Compressed messages are always decompressed when received, whether or not this is set.
+   * @param {number} [opts.compressThresholdBytes=1024] The size, in bytes, above which message bodies will be
+   *    compressed. Applicable only if opts.compressBodies is true.
+   * @param {number} [opts.maxReceives=0] The number of times a message can be received before Squiss considers it to
+   *    be a poison message. Messages received more times than this are sent to opts.deadLetterQueue and deleted from
+   *    this queue, without ever being emitted. Set to 0 to disable this check, which is best done by an SQS redrive
+   *    policy when the queue allows it.
+   * @param {string|Squiss} [opts.deadLetterQueue] The URL of the queue, or the Squiss instance for the queue, to which
+   *    messages received more than opts.maxReceives times, or failing opts.validator with an opts.invalidMessageAction
+   *    of "deadLetter", should be sent. Defaults to the queue created by opts.createDeadLetterQueue, if that is set.
+   *    The message is sent with its original body and attributes, plus a `SquissSourceQueue` attribute containing
+   *    the URL of this queue and, if the message failed in the handler passed to {@link #process} or failed
+   *    validation, a `SquissLastError` attribute containing the last error message.
+   * @param {boolean} [opts.createDeadLetterQueue=false] If true, {@link #createQueue} will also create a dead-letter
+   *    queue, and set a RedrivePolicy on the configured queue so that SQS moves messages to it after they have been
+   *    received opts.redriveMaxReceiveCount times. The dead-letter queue is available as a Squiss instance in the
+   *    `deadLetterQueue` property. Requires opts.queueName.
+   * @param {string} [opts.deadLetterQueueName] The name of the dead-letter queue to be created. Defaults to the
+   *    queueName with "-dlq" appended, before the ".fifo" suffix for FIFO queues. Applicable only if
+   *    opts.createDeadLetterQueue is true.
+   * @param {number} [opts.redriveMaxReceiveCount=5] The number of times a message can be received before SQS moves
+   *    it to the dead-letter queue. Applicable only if opts.createDeadLetterQueue is true.
+   * @param {number} [opts.backoffBaseSecs=30] The number of seconds for which {@link #retryMessageLater} hides a
+   *    message that has been received once. The delay is multiplied by opts.backoffFactor for every time it has been
+   *    received after that.
+   * @param {number} [opts.backoffFactor=2] The factor by which the {@link #retryMessageLater} delay grows with each
+   *    receive of the message.
+   * @param {number} [opts.backoffMaxSecs=43200] The maximum number of seconds for which {@link #retryMessageLater}
+   *    hides a message. SQS does not allow a message to stay hidden for more than 43200 seconds (12 hours) after it
+   *    was received, so the delay is also capped at whatever remains of that.
+   * @param {Array<string>} [opts.attributeNames=[]] The names of additional SQS system attributes to request with each
+   *    message, such as "SentTimestamp", "ApproximateFirstReceiveTimestamp", "SenderId", or "SequenceNumber", or
+   *    "All" to request every attribute. These values are available through the getters of each {@link Message}.
+   *    ApproximateReceiveCount is always requested, as is MessageGroupId when opts.orderByGroup or opts.maxReceives
+   *    is set.
+   * @param {function(*, Message): boolean|Promise} [opts.validator] A function to check each received message before
+   *    it's emitted, called with the parsed body and the Message. The message is invalid if the function returns
+   *    false, throws, or returns a Promise that resolves to false or rejects. Compiled JSON Schema validators from
+   *    libraries like ajv can be used directly; their `errors` are attached to the resulting error. Invalid messages
+   *    are never emitted or passed to the handler given to {@link #process}. Instead, the `invalidMessage` event is
+   *    emitted, and the message is settled according to opts.invalidMessageAction.
+   * @param {string|Function} [opts.invalidMessageAction="keep"] What to do with a message that fails opts.validator.
+   *    Set to "keep" to leave it in the queue until its VisibilityTimeout expires, "release" to make it immediately
+   *    available again, "delete" to delete it, or "deadLetter" to send it to the dead-letter queue and delete it.
+   *    Alternatively, supply a function that accepts the Message and the validation error, and handles the message
+   *    itself.
+   * @param {boolean} [opts.adaptiveConcurrency=false] If true, the number of messages kept in flight is adjusted
+   *    between opts.minInFlight and opts.maxInFlight based on how long messages take to be handled, and how often the
+   *    handler given to {@link #process} fails. The limit starts at opts.maxInFlight. After every
+   *    opts.adaptiveWindowSize handled messages, it's multiplied by opts.adaptiveDecreaseFactor if the average
+   *    handling time was above opts.targetHandlingMs or the failure rate was above opts.maxFailureRate, and raised by
+   *    opts.adaptiveIncrease otherwise. The `concurrencyChanged` event is emitted whenever the limit changes.
+   *    Requires opts.maxInFlight to be above 0.
+   * @param {number} [opts.minInFlight=1] The lowest the in-flight limit can go when opts.adaptiveConcurrency is set
+   * @param {number} [opts.targetHandlingMs=0] The average time, in milliseconds, from receiving messages to handling
+   *    them, above which opts.adaptiveConcurrency lowers the in-flight limit. Set to 0 to adjust the limit based on
+   *    failures alone.
+   * @param {number} [opts.maxFailureRate=0.1] The fraction of messages, from 0 to 1, whose handler can fail before
+   *    opts.adaptiveConcurrency lowers the in-flight limit
+   * @param {number} [opts.adaptiveWindowSize=20] The number of handled messages to observe before each adjustment of
+   *    the in-flight limit
+   * @param {number} [opts.adaptiveIncrease=1] The amount by which to raise the in-flight limit after a window in
+   *    which messages were handled quickly and successfully
+   * @param {number} [opts.adaptiveDecreaseFactor=0.5] The factor by which to multiply the in-flight limit after a
+   *    window in which messages were handled too slowly, or failed too often
+   * @param {number} [opts.maxMessagesPerSecond=0] The maximum number of received messages to deliver to the `message`
+   *    event and the handler given to {@link #process} each second, enforced with a token bucket. Messages received
+   *    faster than this are held or released according to opts.rateLimitAction, and the `rateLimited` event is
+   *    emitted for each. Set to 0 for no limit.
+   * @param {number} [opts.rateLimitBurst=1] The number of messages that can be delivered at once, without waiting
+   *    on opts.maxMessagesPerSecond, after a quiet period
+   * @param {string} [opts.rateLimitAction="hold"] What to do with a message received faster than
+   *    opts.maxMessagesPerSecond allows. Set to "hold" to keep it in flight until it can be delivered, or "release"
+   *    to make it available in the queue again once the rate would allow it. Held messages count toward
+   *    opts.maxInFlight, and their VisibilityTimeout keeps running unless opts.autoExtendTimeout is set. Released
+   *    messages are received again, which counts toward opts.maxReceives and the queue's RedrivePolicy.
+   * @param {Array<number>} [opts.metricsBucketsMs] The upper bounds, in milliseconds, of the histogram buckets into
+   *    which {@link #getStats} counts poll latency and handling duration. Defaults to a range from 5 milliseconds to
+   *    a minute.
+   * @param {Object} [opts.tracing] Hooks that connect Squiss to a tracing library, so that traces continue across
+   *    the queue. The trace context of every received message is available as `message.traceContext`, whether or not
+   *    this is set.
+   * @param {function(): {traceparent: string, tracestate: string, awsTraceHeader: string}} [opts.tracing.inject] A
+   *    function that returns the current trace context, called whenever messages are sent. The W3C traceparent and
+   *    tracestate are sent as message attributes of the same names, and awsTraceHeader as the AWSTraceHeader system
+   *    attribute. Any of them can be left out.
+   * @param {function(Message): function(boolean)} [opts.tracing.startSpan] A function that's called with each
+   *    received message just before it passes through the middleware chain, to start a consumer span. It can
+   *    return a function to finish the span, which is called once the handler is done with the message, with `true`
+   *    if the handler succeeded or `false` if it failed.
+   * @param {boolean} [opts.tracing.awsTraceHeader=false] If true, the AWSTraceHeader system attribute is requested
+   *    with each message, so that it can be included in `message.traceContext`
+   * @param {number} [opts.healthMaxPollErrors=3] The number of consecutive failed requests for messages after which
+   *    {@link #health} reports Squiss as unhealthy
+   * @param {number} [opts.healthMaxPollAgeMs] The number of milliseconds that can pass without a request for messages
+   *    being made, while Squiss is running and not paused, before {@link #health} reports it as unhealthy. Defaults
+   *    to the longest a request can wait for messages, plus the longest configured interval between requests, plus
+   *    30 seconds.
+   * @param {number} [opts.healthMaxPausedMs=600000] The number of milliseconds polling can stay paused because the
+   *    maximum number of messages are in flight, before {@link #health} reports Squiss as unhealthy. This catches
+   *    handlers that hang while holding every in-flight slot. Set to 0 to stay healthy no matter how long polling is
+   *    paused.
    */
   constructor(opts) {
     super()
@@ -120,19 +471,81 @@ class Squiss extends EventEmitter {
     }
     this._opts = {}
     Object.assign(this._opts, optDefaults, opts)
+    this._codec = codecs.get(this._opts.bodyFormat)
     this._opts.deleteBatchSize = Math.min(this._opts.deleteBatchSize, 10)
+    this._opts.visibilityBatchSize = Math.min(this._opts.visibilityBatchSize, 10)
     this._opts.receiveBatchSize = Math.min(this._opts.receiveBatchSize,
       this._opts.maxInFlight > 0 ? this._opts.maxInFlight : 10, 10)
     this._running = false
     this._inFlight = 0
+    this._inFlightMessages = new Set()
     this._delQueue = []
+    this._activeDeletes = new Set()
+    this._activeDeleteCount = 0
+    this._visQueue = []
+    this._visTimer = null
+    this._groupQueues = new Map()
+    this._middleware = []
+    this._handler = null
     this._delTimer = null
     this._queueUrl = opts.queueUrl
     this._queueVisibilityTimeout = null
     if (!opts.queueUrl && !opts.queueName) {
       throw new Error('Squiss requires either the "queueUrl", or the "queueName".')
     }
+    const hasDeadLetterQueue = this._opts.deadLetterQueue || this._opts.createDeadLetterQueue
+    if (this._opts.maxReceives && !hasDeadLetterQueue) {
+      throw new Error('Squiss requires a "deadLetterQueue" when "maxReceives" is set.')
+    }
+    if (this._opts.invalidMessageAction === 'deadLetter' && !hasDeadLetterQueue) {
+      throw new Error('Squiss requires a "deadLetterQueue" when "invalidMessageAction" is "deadLetter".')
+    }
+    this._metrics = new Metrics({ bucketsMs: this._opts.metricsBucketsMs })
+    this._lastErrors = new Map()
+    this._activeDeadLetters = new Set()
+    this.deadLetterQueue = null
+    if (this._opts.createDeadLetterQueue) {
+      if (!opts.queueName) throw new Error('Squiss requires the "queueName" when "createDeadLetterQueue" is set.')
+      this.deadLetterQueue = new Squiss({
+        SQS: this.sqs,
+        queueName: this._opts.deadLetterQueueName || getDeadLetterQueueName(opts.queueName),
+        accountNumber: this._opts.accountNumber,
+        correctQueueUrl: this._opts.correctQueueUrl,
+        bodyFormat: this._opts.bodyFormat,
+        maxMessageBytes: this._opts.maxMessageBytes,
+        messageRetentionSecs: this._opts.messageRetentionSecs,
+        contentBasedDeduplication: this._opts.contentBasedDeduplication
+      })
+    }
+    this._concurrency = null
+    if (this._opts.adaptiveConcurrency) {
+      if (!this._opts.maxInFlight) {
+        throw new Error('Squiss requires a "maxInFlight" above 0 when "adaptiveConcurrency" is set.')
+      }
+      this._concurrency = new AdaptiveConcurrency({
+        minInFlight: Math.min(this._opts.minInFlight, this._opts.maxInFlight),
+        maxInFlight: this._opts.maxInFlight,
+        targetHandlingMs: this._opts.targetHandlingMs,
+        maxFailureRate: this._opts.maxFailureRate,
+        windowSize: this._opts.adaptiveWindowSize,
+        increase: this._opts.adaptiveIncrease,
+        decreaseFactor: this._opts.adaptiveDecreaseFactor
+      })
+    }
+    this._rateLimiter = null
+    this._rateReservations = new Map()
+    if (this._opts.maxMessagesPerSecond) {
+      this._rateLimiter = new TokenBucket({
+        ratePerSec: this._opts.maxMessagesPerSecond,
+        capacity: this._opts.rateLimitBurst
+      })
+    }
     this._timeoutExtender = null
+    this._slotGate = null
+    this._lastPollAt = null
+    this._pausedAt = null
+    this._lastReceiveAt = null
+    this._consecutivePollErrors = 0
   }
 
   /**
@@ -143,6 +556,15 @@ class Squiss extends EventEmitter {
     return this._inFlight
   }
 
+  /**
+   * Getter for the number of messages that may currently be kept in flight. This is opts.maxInFlight, unless
+   * opts.adaptiveConcurrency is set, in which case it's the limit as last adjusted.
+   * @returns {number}
+   */
+  get inFlightLimit() {
+    return this._concurrency ? this._concurrency.limit : this._opts.maxInFlight
+  }
+
   /**
    * Getter to determine whether Squiss is currently polling or not.
    * @returns {boolean}
@@ -173,7 +595,9 @@ class Squiss extends EventEmitter {
 
   /**
    * Creates the configured queue in Amazon SQS and retrieves its queue URL. Note that this method can only be called
-   * if Squiss was instantiated with the queueName property.
+   * if Squiss was instantiated with the queueName property. If the queueName ends in ".fifo", the queue will be
+   * created as a FIFO queue. If opts.createDeadLetterQueue is set, the dead-letter queue is created first, and the
+   * configured queue is given a RedrivePolicy targeting it.
    * @returns {Promise.<string>} Resolves with the URL of the created queue, rejects with the official AWS SDK's
    *    error object.
    */
@@ -196,7 +620,20 @@ class Squiss extends EventEmitter {
     if (this._opts.queuePolicy) {
       params.Attributes.Policy = this._opts.queuePolicy
     }
-    return this.sqs.createQueue(params).promise().then(res => {
+    if (this._isFifo()) {
+      params.Attributes.FifoQueue = 'true'
+      if (this._opts.contentBasedDeduplication) params.Attributes.ContentBasedDeduplication = 'true'
+    }
+    let dlqReady = Promise.resolve()
+    if (this.deadLetterQueue) {
+      dlqReady = this.deadLetterQueue.createQueue().then(() => this.deadLetterQueue.getQueueArn()).then(arn => {
+        params.Attributes.RedrivePolicy = JSON.stringify({
+          deadLetterTargetArn: arn,
+          maxReceiveCount: this._opts.redriveMaxReceiveCount.toString()
+        })
+      })
+    }
+    return dlqReady.then(() => this.sqs.createQueue(params).promise()).then(res => {
       this._queueUrl = res.QueueUrl
       return res.QueueUrl
     })
@@ -209,23 +646,12 @@ class Squiss extends EventEmitter {
    */
   deleteMessage(msg) {
     if (!msg.raw) throw new Error('Squiss.deleteMessage requires a Message object')
-    this._delQueue.push({ Id: msg.raw.MessageId, ReceiptHandle: msg.raw.ReceiptHandle })
+    const entry = { Id: msg.raw.MessageId, ReceiptHandle: msg.raw.ReceiptHandle }
+    if (msg.blobKey) entry.blobKey = msg.blobKey
+    this._lastErrors.delete(msg.raw.MessageId)
     this.emit('delQueued', msg)
     this.handledMessage(msg)
-    if (this._delQueue.length >= this._opts.deleteBatchSize) {
-      if (this._delTimer) {
-        clearTimeout(this._delTimer)
-        this._delTimer = null
-      }
-      const delBatch = this._delQueue.splice(0, this._opts.deleteBatchSize)
-      this._deleteMessages(delBatch)
-    } else if (!this._delTimer) {
-      this._delTimer = setTimeout(() => {
-        this._delTimer = null
-        const delBatch = this._delQueue.splice(0, this._delQueue.length)
-        this._deleteMessages(delBatch)
-      }, this._opts.deleteWaitMs)
-    }
+    this._queueDelete(entry)
   }
 
   /**
@@ -238,6 +664,52 @@ class Squiss extends EventEmitter {
     })
   }
 
+  /**
+   * Emits an event, after recording it in the metrics reported by {@link #getStats}. Recording events here, rather
+   * than by listening for them, leaves the `error` event to throw as usual when nothing is listening.
+   * @param {string} event The name of the event
+   * @param {*} [data] The event's argument
+   * @returns {boolean} true if the event had listeners; false otherwise.
+   */
+  emit(event, data) {
+    this._metrics.record(event, data)
+    return super.emit.apply(this, arguments)
+  }
+
+  /**
+   * Formats the metrics reported by {@link #getStats} in the Prometheus text exposition format, ready to be served
+   * from a `/metrics` endpoint. Every metric is labeled with the name of the queue, or its URL if it was given
+   * without a name.
+   * @param {Object} [opts] A mapping of formatting options
+   * @param {string} [opts.prefix="squiss_"] The prefix for the name of every metric
+   * @param {Object} [opts.labels] A mapping of label names to values to attach to every metric, such as the name of
+   *    the service
+   * @returns {string} The metrics in the Prometheus text format
+   */
+  getPrometheusMetrics(opts) {
+    return prometheus.format([ { stats: this.getStats(), labels: this._getMetricsLabels() } ], opts)
+  }
+
+  /**
+   * Retrieves the ARN of the configured queue, which is needed to refer to it in policies, such as the RedrivePolicy
+   * of another queue.
+   * @returns {Promise.<string>} Resolves with the queue's ARN, rejects with the official AWS SDK's error object.
+   */
+  getQueueArn() {
+    return this.getQueueUrl().then(QueueUrl => {
+      return this.sqs.getQueueAttributes({
+        AttributeNames: [ 'QueueArn' ],
+        QueueUrl
+      }).promise()
+    }).then(res => {
+      if (!res.Attributes || !res.Attributes.QueueArn) {
+        throw new Error('AWS.SQS.GetQueueAttributes call did not return expected shape. Response: ' +
+          JSON.stringify(res))
+      }
+      return res.Attributes.QueueArn
+    })
+  }
+
   /**
    * Gets the queueUrl for the configured queue and sets this instance up to use it. Any calls to
    * {@link #start} will wait until this function completes to begin polling.
@@ -284,58 +756,178 @@ class Squiss extends EventEmitter {
     })
   }
 
+  /**
+   * Gets a snapshot of the metrics Squiss has collected since it was created. Histograms report the number of values
+   * counted, their sum, and a list of buckets, each holding the number of values less than or equal to its `le`.
+   * @returns {{messagesReceived: number, messagesHandled: number, messagesDeleted: number, deleteErrors: number,
+   *    errors: number, handlerErrors: number, timeoutExtensions: number, timeoutExtensionErrors: number,
+   *    inFlight: number, inFlightLimit: number, pollLatencyMs: Object, handlingDurationMs: Object}} The snapshot
+   */
+  getStats() {
+    return Object.assign(this._metrics.getStats(), {
+      inFlight: this._inFlight,
+      inFlightLimit: this.inFlightLimit
+    })
+  }
+
   /**
    * Informs Squiss that a message has been handled. This allows Squiss to decrement the number of in-flight
-   * messages without deleting one, which may be necessary in the event of an error.
+   * messages without deleting one, which may be necessary in the event of an error. The time at which the message
+   * was handled is recorded in its `handledAt` property.
    * @param {Message} msg The message to be handled
    */
   handledMessage(msg) {
-    this._inFlight--
-    if (this._paused && this._slotsAvailable()) {
-      this._paused = false
-      this._startPoller()
+    if (msg instanceof Message && !msg.handledAt) {
+      msg.handledAt = new Date()
+      if (this._concurrency && msg.deliveredAt) this._recordHandling(msg)
     }
+    this._inFlight--
+    this._inFlightMessages.delete(msg)
+    this._resumePolling()
     this.emit('handled', msg)
     if (!this._inFlight) {
       this.emit('drained')
     }
   }
 
+  /**
+   * Reports on the health of the poller. Squiss is considered healthy while it's running, fewer than
+   * opts.healthMaxPollErrors consecutive requests for messages have failed, and a request for messages has been
+   * made within the last opts.healthMaxPollAgeMs milliseconds. While polling is paused because the maximum number of
+   * messages are in flight, it must instead have been paused for no longer than opts.healthMaxPausedMs.
+   * @returns {{healthy: boolean, running: boolean, paused: boolean, lastReceiveAt: Date|null,
+   *    consecutivePollErrors: number, inFlight: number, pendingDeletes: number, activeDeletes: number,
+   *    extenderBacklog: number}} The health status, where `lastReceiveAt` is the time of the last successful request
+   *    for messages, `pendingDeletes` is the number of messages waiting to be deleted in a batch, `activeDeletes` is
+   *    the number of messages whose deletion has been sent to SQS but not yet completed, including any waiting to be
+   *    retried, and `extenderBacklog` is the number of messages whose VisibilityTimeout is being automatically
+   *    extended
+   */
+  health() {
+    const paused = !!this._paused
+    const pollAgeMs = Date.now() - this._lastPollAt
+    const maxPausedMs = this._opts.healthMaxPausedMs
+    const polling = paused ? !maxPausedMs || Date.now() - this._pausedAt <= maxPausedMs
+      : pollAgeMs <= this._getMaxPollAgeMs()
+    return {
+      healthy: this._running && this._consecutivePollErrors < this._opts.healthMaxPollErrors && polling,
+      running: this._running,
+      paused,
+      lastReceiveAt: this._lastReceiveAt,
+      consecutivePollErrors: this._consecutivePollErrors,
+      inFlight: this._inFlight,
+      pendingDeletes: this._delQueue.length,
+      activeDeletes: this._activeDeleteCount,
+      extenderBacklog: this._timeoutExtender ? this._timeoutExtender.size : 0
+    }
+  }
+
+  /**
+   * Registers a handler function to be called with every message Squiss receives, settling each message according
+   * to the outcome of the handler. If the handler returns (or resolves), the message is deleted. If it throws (or
+   * rejects), the `handlerError` event is emitted with the message and the error, and the message is released or
+   * otherwise handled according to opts.handlerFailurePolicy. Messages that the handler has already deleted, kept,
+   * or released on its own are not touched. If opts.orderByGroup is set, messages from the same FIFO message group
+   * are passed to the handler one after another. The handler is called after the `message` event is emitted, and
+   * after any middleware registered with {@link #use}. Only one handler can be registered.
+   * @param {function(Message): Promise|*} handler A function to be called with each received Message object
+   * @returns {Squiss} This Squiss instance, for chaining
+   */
+  process(handler) {
+    if (typeof handler !== 'function') throw new Error('Squiss.process requires a handler function')
+    if (this._handler) throw new Error('Squiss.process can only be called once')
+    this._handler = handler
+    return this
+  }
+
+  /**
+   * Queues a change to the VisibilityTimeout of a message, to be sent to SQS in a batch with other changes per the
+   * settings supplied to the constructor.
+   * @param {Message|string} msg The Message object or ReceiptHandle for which to change the VisibilityTimeout.
+   * @param {number} timeoutInSeconds Visibility timeout in seconds.
+   * @returns {Promise} Resolves when SQS confirms the change. Rejects with the official AWS SDK's error object if
+   *    the entire batch call fails, or with an Error containing the `code` and `failure` object reported by SQS if
+   *    this particular change fails.
+   */
+  queueVisibilityChange(msg, timeoutInSeconds) {
+    const receiptHandle = msg instanceof Message ? msg.raw.ReceiptHandle : msg
+    return new Promise((resolve, reject) => {
+      this._visQueue.push({ receiptHandle, timeoutInSeconds, resolve, reject })
+      if (this._visQueue.length >= this._opts.visibilityBatchSize) {
+        if (this._visTimer) {
+          clearTimeout(this._visTimer)
+          this._visTimer = null
+        }
+        this._changeVisibilities(this._visQueue.splice(0, this._opts.visibilityBatchSize))
+      } else if (!this._visTimer) {
+        this._visTimer = setTimeout(() => {
+          this._visTimer = null
+          this._changeVisibilities(this._visQueue.splice(0, this._visQueue.length))
+        }, this._opts.visibilityBatchWaitMs)
+      }
+    })
+  }
+
   /**
    * Releases a message back into the queue by changing its VisibilityTimeout to 0 and calling
    * {@link #handledMessage}. Note that if this is used when the poller is running, the message will be
    * immediately picked up and processed again (by this or any other application instance polling the same
-   * queue).
+   * queue). The VisibilityTimeout change is batched with others, per {@link #queueVisibilityChange}.
    * @param {Message} msg The Message object for which to change the VisibilityTimeout.
    * @returns {Promise} Resolves when the VisibilityTimeout has been changed. Rejects with the official AWS SDK's
    * error object.
    */
   releaseMessage(msg) {
     this.handledMessage(msg)
-    return this.changeMessageVisibility(msg, 0).then(res => {
+    return this.queueVisibilityChange(msg, 0).then(res => {
       this.emit('released', msg)
       return res
     })
   }
 
+  /**
+   * Makes a message available to be received again after a delay that grows exponentially with the number of times
+   * it has been received, so that a failing message doesn't come straight back. The delay is opts.backoffBaseSecs
+   * multiplied by opts.backoffFactor for every receive after the first, up to opts.backoffMaxSecs or the rest of the
+   * 12 hours for which SQS allows a received message to stay hidden, whichever comes first. Like
+   * {@link #releaseMessage}, this marks the message as handled.
+   * @param {Message} msg The message to be retried later
+   * @returns {Promise} Resolves when the message's VisibilityTimeout has been changed. Rejects with the error, if
+   *    the change fails.
+   */
+  retryMessageLater(msg) {
+    const delaySecs = this._getRetryDelaySecs(msg)
+    this.handledMessage(msg)
+    return this.queueVisibilityChange(msg, delaySecs).then(res => {
+      this.emit('retryScheduled', { message: msg, delaySecs })
+      return res
+    })
+  }
+
   /**
    * Sends an individual message to the configured queue.
-   * @param {string|Object} message The message to be sent. Objects will be JSON.stringified.
+   * @param {*} message The message to be sent, which will be encoded with the codec named by opts.bodyFormat. The
+   *    built-in "plain" and "json" codecs send strings as-is, and JSON.stringify anything else.
    * @param {number} [delay] The number of seconds by which to delay the delivery of the message, max 900. If not
    *    specified, the queue default will be used.
-   * @param {Object} [attributes] An optional attributes mapping to associate with the message. For more information,
-   *    see http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/SQS.html#sendMessage-property.
+   * @param {Object} [attributes] An optional mapping of attributes to associate with the message. Values may be
+   *    strings, numbers, booleans, or Buffers, and will be converted to the SQS MessageAttributes format. Values
+   *    already in that format are sent as-is. For more information, see
+   *    http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/SQS.html#sendMessage-property.
+   * @param {Object} [opts] A mapping of FIFO queue options
+   * @param {string} [opts.groupId] The MessageGroupId of the message. Required when sending to a FIFO queue.
+   * @param {string} [opts.deduplicationId] The MessageDeduplicationId of the message. Only used with FIFO queues.
    * @returns {Promise.<{MessageId: string, MD5OfMessageAttributes: string, MD5OfMessageBody: string}>} Resolves with
    *    the official AWS SDK sendMessage response, rejects with the official error object.
    */
-  sendMessage(message, delay, attributes) {
-    return this.getQueueUrl().then((queueUrl) => {
-      const params = {
-        QueueUrl: queueUrl,
-        MessageBody: typeof message === 'object' ? JSON.stringify(message) : message
-      }
+  sendMessage(message, delay, attributes, opts) {
+    opts = opts || {}
+    if (this._isFifo() && !opts.groupId) return Promise.reject(new Error(FIFO_GROUP_ERROR))
+    const traceContext = this._getTraceContext()
+    return Promise.all([ this.getQueueUrl(), this._prepareMessage(message, attributes, traceContext) ]).then((res) => {
+      const params = Object.assign({ QueueUrl: res[0] }, res[1])
       if (delay) params.DelaySeconds = delay
-      if (attributes) params.MessageAttributes = attributes
+      this._applyFifoParams(params, opts)
       return this.sqs.sendMessage(params).promise()
     })
   }
@@ -351,38 +943,116 @@ class Squiss extends EventEmitter {
    *     {Id: string, MessageId: string, MD5OfMessageAttributes: string, MD5OfMessageBody: string}
    *   ],
    *   Failed: [
-   *     {Id: string, SenderFault: boolean, Code: string, Message: string}
+   *     {Id: string, SenderFault: boolean, Code: string, Message: string, OriginalMessage: string|Object}
    *   ]
    * }
    *
    * See http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/SQS.html#sendMessageBatch-property for full details.
-   * The "Id" supplied in the response will be the index of the message in the original messages array, in string form.
-   * @param {string|Object||Array<string|Object>} messages An array of messages to be sent. Objects will be
-   *    JSON.stringified.
+   * The "Id" supplied in the response will be the index of the message in the original messages array, in string form,
+   * and each failure includes the message from that array as "OriginalMessage". If opts.sendRetries is set, messages
+   * that fail for reasons that are likely to be temporary are resent, and only reported as failed if they're still
+   * failing after the last retry.
+   * Batches are limited both to 10 messages and to 256KB in total, including attributes. Any message larger than
+   * opts.maxMessageBytes on its own is not sent, and is reported in the `Failed` array with the code "MessageTooLong".
+   *
+   * On a FIFO queue, batches are sent one after another, so that each message group is stored in order. Once a
+   * message fails, the messages after it in the same group are not sent or retried, and are reported in the `Failed`
+   * array with the code "EarlierMessageFailed". Messages of that group sent in the same batch as the failed one may
+   * still have been stored, since SQS handles each batch as a whole.
+   *
+   * If opts.entries is set, each message is given as an object with a `body` key and any of the keys `delay`,
+   * `attributes`, `groupId`, and `deduplicationId`, to override the options that apply to the whole batch for that
+   * message alone. Its attributes are merged with the batch's attributes.
+   * @param {*|Array<*>} messages An array of messages to be sent, which will be encoded with the codec named by
+   *    opts.bodyFormat, as in {@link #sendMessage}. If opts.entries is set, these are objects holding the body and
+   *    options of each message instead.
    * @param {number} [delay] The number of seconds by which to delay the delivery of the messages, max 900. If not
    *    specified, the queue default will be used.
-   * @param {Object} [attributes] An optional attributes mapping to associate with all messages. For more information,
-   *    see http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/SQS.html#sendMessageBatch-property.
+   * @param {Object} [attributes] An optional mapping of attributes to associate with all messages, in the same form
+   *    accepted by {@link #sendMessage}. For more information, see
+   *    http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/SQS.html#sendMessageBatch-property.
+   * @param {Object} [opts] A mapping of FIFO queue options
+   * @param {boolean} [opts.entries=false] If true, each message is an object holding its body and its own options,
+   *    as described above. The promise is rejected without sending anything if any of them is not.
+   * @param {string|function(string|Object, number): string} [opts.groupId] The MessageGroupId to apply to every
+   *    message, or a function that accepts each message body and its index in the messages array and returns the
+   *    MessageGroupId for that message. Required for every message when sending to a FIFO queue.
+   * @param {string|function(string|Object, number): string} [opts.deduplicationId] The MessageDeduplicationId to
+   *    apply to every message, or a function that accepts each message body and its index in the messages array and
+   *    returns the MessageDeduplicationId for that message. Only used with FIFO queues.
    * @returns {Promise.<{Successful: Array<{Id: string, MessageId: string, MD5OfMessageAttributes: string,
    *    MD5OfMessageBody: string}>, Failed: Array<{Id: string, SenderFault: boolean, Code: string,
-   *    Message: string}>}>} Resolves with successful and failed messages, rejects with API error on critical failure.
+   *    Message: string, OriginalMessage: string|Object}>}>} Resolves with successful and failed messages, rejects with
+   *    API error on critical failure.
    */
-  sendMessages(messages, delay, attributes) {
-    const batches = []
+  sendMessages(messages, delay, attributes, opts) {
+    opts = opts || {}
     const msgs = Array.isArray(messages) ? messages : [messages]
-    for (let i = 0; i < msgs.length; i++) {
-      if (i % AWS_MAX_SEND_BATCH === 0) batches.push([])
-      batches[batches.length - 1].push(msgs[i])
-    }
-    return Promise.all(batches.map((batch, idx) => {
-      return this._sendMessageBatch(batch, delay, attributes, idx * AWS_MAX_SEND_BATCH)
-    })).then((results) => {
-      const merged = {Successful: [], Failed: []}
-      results.forEach((res) => {
-        res.Successful.forEach(elem => merged.Successful.push(elem))
-        res.Failed.forEach(elem => merged.Failed.push(elem))
+    if (opts.entries && !msgs.every(isBatchEntry)) return Promise.reject(new Error(BATCH_ENTRY_ERROR))
+    const entries = msgs.map((msg, idx) => {
+      return toBatchEntry(opts.entries ? msg : { body: msg }, idx, delay, attributes, opts)
+    })
+    if (this._isFifo() && entries.some(entry => !entry.groupId)) {
+      return Promise.reject(new Error(FIFO_GROUP_ERROR))
+    }
+    const traceContext = this._getTraceContext()
+    const created = entries.map((entry, idx) => this._createSendEntry(entry, idx, traceContext))
+    return Promise.all(created).then((sqsEntries) => {
+      const packed = packBatches(sqsEntries, this._opts.maxMessageBytes)
+      const sent = this._isFifo() ? this._sendFifoBatches(packed, sqsEntries)
+        : Promise.all(packed.batches.map(batch => this._sendMessageBatch(batch)))
+      return sent.then((results) => {
+        const merged = {Successful: [], Failed: packed.failed}
+        results.forEach((res) => {
+          res.Successful.forEach(elem => merged.Successful.push(elem))
+          res.Failed.forEach(elem => merged.Failed.push(elem))
+        })
+        merged.Failed.forEach(fail => {
+          fail.OriginalMessage = msgs[parseInt(fail.Id, 10)]
+        })
+        return merged
       })
-      return merged
+    })
+  }
+
+  /**
+   * Gracefully shuts down this Squiss instance. Polling is stopped immediately (aborting any active request for new
+   * messages), and Squiss then waits for every in-flight message to be handled, up to the given deadline. If the
+   * deadline passes first, any unfinished messages can optionally be released back to the queue. Finally, all
+   * pending message deletions are sent to SQS without waiting for opts.deleteWaitMs, and any automatic
+   * VisibilityTimeout extensions are stopped.
+   * @param {Object} [opts] A mapping of shutdown options
+   * @param {number} [opts.timeoutMs=30000] The maximum number of milliseconds to wait for in-flight messages to be
+   *    handled
+   * @param {boolean} [opts.releaseUnfinished=false] If true, messages still in flight when opts.timeoutMs has
+   *    elapsed will be released back to the queue
+   * @returns {Promise.<boolean>} Resolves when shutdown is complete, with `true` if all in-flight messages were
+   *    handled before the deadline, or `false` otherwise. Rejects with the official AWS SDK's error object if
+   *    unfinished messages could not be released, once pending deletions have still been sent and extensions
+   *    stopped.
+   */
+  shutdown(opts) {
+    opts = Object.assign({ timeoutMs: 30000, releaseUnfinished: false }, opts)
+    this.stop()
+    let drained = false
+    let releaseError = null
+    return this._waitForDrain(opts.timeoutMs).then(res => {
+      drained = res
+      return Promise.all(Array.from(this._activeDeadLetters))
+    }).then(() => {
+      if (drained || !opts.releaseUnfinished) return undefined
+      const releases = Array.from(this._inFlightMessages).map(msg => msg.release().catch(err => {
+        releaseError = releaseError || err
+      }))
+      this._flushVisibilityChanges()
+      return Promise.all(releases)
+    }).then(() => Promise.all([ this._flushDeletes(), this._flushVisibilityChanges() ])).then(() => {
+      if (this._timeoutExtender) {
+        this._timeoutExtender.stop()
+        this._timeoutExtender = null
+      }
+      if (releaseError) throw releaseError
+      return drained
     })
   }
 
@@ -393,9 +1063,30 @@ class Squiss extends EventEmitter {
   start() {
     if (this._running) return Promise.resolve()
     this._running = true
+    this._lastPollAt = Date.now()
+    this._consecutivePollErrors = 0
+    if (!this._slotsAvailable()) {
+      this._paused = true
+      this._pausedAt = Date.now()
+      return Promise.resolve()
+    }
     return this._startPoller()
   }
 
+  /**
+   * Starts a tiny HTTP server that serves the status reported by {@link #health} as JSON, for use as a liveness or
+   * readiness probe. Requests to the health path are answered with a 200 status code while Squiss is healthy, or 503
+   * otherwise. The server is independent of the poller, and must be closed when it's no longer needed.
+   * @param {Object} [opts] A mapping of server options
+   * @param {number} [opts.port=8080] The port on which to listen. Set to 0 to listen on any free port.
+   * @param {string} [opts.host] The host on which to listen. Defaults to every available interface.
+   * @param {string} [opts.path="/health"] The path on which the health status is served
+   * @returns {Promise.<http.Server>} Resolves with the server once it's listening, rejects if it couldn't listen
+   */
+  startHealthServer(opts) {
+    return healthServer.start(() => this.health(), opts)
+  }
+
   /**
    * Stops the poller.
    * @param {boolean} [soft=false] If a soft stop is performed, any active SQS request for new messages will be left
@@ -411,48 +1102,414 @@ class Squiss extends EventEmitter {
   }
 
   /**
-   * Deletes a batch of messages (maximum 10) from Amazon SQS.  If there is an error making the call to SQS, the
-   * `error` event will be emitted with an Error object. If SQS reports any issue deleting any of the messages,
-   * the `delError` event will be emitted with the failure object passed back by the AWS SDK.
+   * Adds a middleware function to the chain that every received message passes through before the `message` event
+   * is emitted and the handler registered with {@link #process} is called. Middleware runs in the order it was
+   * added. Each one is called with the Message and a `next` function, which passes the message along to the rest
+   * of the chain and returns a Promise that resolves once the handler has finished with it. A middleware function
+   * can modify the message before calling `next`, act on the outcome of the Promise that `next` returns, or skip
+   * `next` entirely and settle the message itself by deleting, keeping, or releasing it. If a middleware function
+   * throws or rejects, the message is treated as though its handler failed.
+   * @param {function(Message, function(): Promise): Promise|*} middleware The middleware function
+   * @returns {Squiss} This Squiss instance, for chaining
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') throw new Error('Squiss.use requires a middleware function')
+    this._middleware.push(middleware)
+    return this
+  }
+
+  /**
+   * Settles a message that the handler passed to {@link #process} has failed to process, according to the
+   * configured opts.handlerFailurePolicy.
+   * @param {Message} msg The message whose handler failed
+   * @param {Error} err The error thrown or rejected by the handler
+   * @private
+   */
+  _applyFailurePolicy(msg, err) {
+    const policy = this._opts.handlerFailurePolicy
+    if (typeof policy === 'function') return policy(msg, err)
+    switch (policy) {
+    case 'keep': return msg.keep()
+    case 'delete': return msg.del()
+    case 'retryLater': return msg.retryLater()
+    default: return msg.release()
+    }
+  }
+
+  /**
+   * Settles a message that has failed opts.validator, according to the configured opts.invalidMessageAction.
+   * @param {Message} msg The invalid message
+   * @param {Error} err The reason the message is invalid
+   * @returns {Promise} Resolves when the message has been settled or queued. Failures are emitted as `error` events.
+   * @private
+   */
+  _applyInvalidMessageAction(msg, err) {
+    const action = this._opts.invalidMessageAction
+    return Promise.resolve().then(() => {
+      if (typeof action === 'function') return action(msg, err)
+      switch (action) {
+      case 'delete': return msg.del()
+      case 'release': return msg.release()
+      case 'deadLetter':
+        msg.keep()
+        return this._deadLetterMessage(msg.raw, err)
+      default: return msg.keep()
+      }
+    }).catch(e => this.emit('error', e))
+  }
+
+  /**
+   * Sets the MessageGroupId and MessageDeduplicationId on the parameters for sending a message, if they were
+   * specified.
+   * @param {Object} params The sendMessage parameters, or sendMessageBatch entry, to be modified
+   * @param {{groupId: string, deduplicationId: string}} opts The FIFO queue options for the message
+   * @returns {Object} The modified params object
+   * @private
+   */
+  _applyFifoParams(params, opts) {
+    if (opts.groupId) params.MessageGroupId = opts.groupId
+    if (opts.deduplicationId) params.MessageDeduplicationId = opts.deduplicationId
+    return params
+  }
+
+  /**
+   * Changes the VisibilityTimeout of a batch of messages (maximum 10) in Amazon SQS, settling the Promise created
+   * for each change by {@link #queueVisibilityChange}.
+   * @param {Array<{receiptHandle: string, timeoutInSeconds: number, resolve: Function, reject: Function}>} batch
+   *    The batch of queued VisibilityTimeout changes to be sent
+   * @returns {Promise} Resolves when every change in the batch has been settled
+   * @private
+   */
+  _changeVisibilities(batch) {
+    return this.getQueueUrl().then(queueUrl => {
+      return this.sqs.changeMessageVisibilityBatch({
+        QueueUrl: queueUrl,
+        Entries: batch.map((item, idx) => ({
+          Id: idx.toString(),
+          ReceiptHandle: item.receiptHandle,
+          VisibilityTimeout: item.timeoutInSeconds
+        }))
+      }).promise()
+    }).then(data => {
+      if (data.Successful) data.Successful.forEach(success => batch[success.Id].resolve())
+      if (data.Failed) {
+        data.Failed.forEach(fail => {
+          const err = new Error(fail.Message)
+          err.code = fail.Code
+          err.failure = fail
+          batch[fail.Id].reject(err)
+        })
+      }
+    }).catch(err => {
+      batch.forEach(item => item.reject(err))
+    })
+  }
+
+  /**
+   * Constructs a Message object for a message received from SQS, and counts it as in flight. If its body cannot be
+   * decoded and opts.validator is set, the message is treated as invalid: it's constructed with its raw body, the
+   * `invalidMessage` event is emitted, and it's settled according to opts.invalidMessageAction. Without a validator,
+   * the `error` event is emitted instead, and the message is left to be received again after its VisibilityTimeout
+   * expires.
+   * @param {Object} msg An SQS message object, as returned from the aws sdk
+   * @returns {Message|null} The Message object, or null if its body could not be decoded
+   * @private
+   */
+  _createMessage(msg) {
+    const opts = { squiss: this, queueUrl: this._queueUrl, msg }
+    let message = null
+    let decodeError = null
+    try {
+      message = new Message(Object.assign({
+        unwrapSns: this._opts.unwrapSns,
+        bodyFormat: this._opts.bodyFormat,
+        blobStore: this._opts.blobStore
+      }, opts))
+    } catch (err) {
+      decodeError = err
+    }
+    if (decodeError && !this._opts.validator) {
+      this.emit('error', decodeError)
+      return null
+    }
+    if (decodeError) message = new Message(opts)
+    this._inFlight++
+    this._inFlightMessages.add(message)
+    if (!decodeError) return message
+    this.emit('invalidMessage', { message, error: decodeError })
+    this._applyInvalidMessageAction(message, decodeError)
+    return null
+  }
+
+  /**
+   * Converts a batch entry object to an entry for an SQS sendMessageBatch request, saving its body to opts.blobStore
+   * if necessary. The Id of the entry will be the stringified index of the message in the array passed to
+   * {@link #sendMessages}.
+   * @param {{body: string|Object, delay: number, attributes: Object, groupId: string, deduplicationId: string}} entry
+   *    The batch entry object, as produced from a message passed to {@link #sendMessages}. The body will be encoded
+   *    with the codec named by opts.bodyFormat.
+   * @param {number} index The index of the message in the array of messages being sent
+   * @param {Object} [traceContext] The trace context to be sent with the message
+   * @returns {Promise.<Object>} Resolves with the sendMessageBatch entry
+   * @private
+   */
+  _createSendEntry(entry, index, traceContext) {
+    return this._prepareMessage(entry.body, entry.attributes, traceContext).then((prepared) => {
+      const sqsEntry = Object.assign({ Id: index.toString() }, prepared)
+      if (entry.delay) sqsEntry.DelaySeconds = entry.delay
+      return this._applyFifoParams(sqsEntry, entry)
+    })
+  }
+
+  /**
+   * Sends a message that has been received more than opts.maxReceives times, or failed validation, to
+   * opts.deadLetterQueue, then deletes it from this queue and emits the `deadLettered` event. The message is sent with
+   * its original body and attributes, plus attributes recording the URL of this queue and the given error or the last
+   * error the handler reported for it, if any. If the message can't be sent, the `error` event is emitted and the
+   * message is left in this queue.
+   * @param {Object} msg The SQS message object, as returned from the aws sdk
+   * @param {Error} [err] The reason the message is being dead-lettered. Defaults to the last error recorded by
+   *    {@link #_recordError}.
+   * @returns {Promise} Resolves when the message has been sent to the dead-letter queue and queued for deletion, or
+   *    the attempt has failed
+   * @private
+   */
+  _deadLetterMessage(msg, err) {
+    const dlq = this._opts.deadLetterQueue || this.deadLetterQueue
+    const isSquiss = dlq instanceof Squiss
+    const promise = Promise.all([
+      this.getQueueUrl(),
+      isSquiss ? dlq.getQueueUrl() : dlq
+    ]).then((urls) => {
+      const attributes = Object.assign({}, msg.MessageAttributes, {
+        SquissSourceQueue: { DataType: 'String', StringValue: urls[0] }
+      })
+      const lastError = err ? getErrorMessage(err) : this._lastErrors.get(msg.MessageId)
+      if (lastError) attributes.SquissLastError = { DataType: 'String', StringValue: lastError }
+      const params = {
+        QueueUrl: urls[1],
+        MessageBody: msg.Body,
+        MessageAttributes: attributes
+      }
+      if (/\.fifo$/.test(urls[1])) {
+        params.MessageGroupId = msg.Attributes.MessageGroupId || msg.MessageId
+        params.MessageDeduplicationId = msg.MessageId
+      }
+      return (isSquiss ? dlq.sqs : this.sqs).sendMessage(params).promise()
+    }).then(() => {
+      this._lastErrors.delete(msg.MessageId)
+      this._queueDelete({ Id: msg.MessageId, ReceiptHandle: msg.ReceiptHandle })
+      this.emit('deadLettered', {
+        message: msg,
+        receiveCount: parseInt(msg.Attributes.ApproximateReceiveCount, 10)
+      })
+    }).catch(sendErr => this.emit('error', sendErr))
+    this._activeDeadLetters.add(promise)
+    promise.then(() => this._activeDeadLetters.delete(promise))
+    return promise
+  }
+
+  /**
+   * Deletes a batch of messages (maximum 10) from Amazon SQS. Failures that are likely to be temporary, whether they
+   * affect the entire call or individual messages, are retried with exponential backoff up to opts.deleteRetries
+   * times. If there is any other error making the call to SQS, the `error` event will be emitted with an Error object.
+   * If SQS reports any other issue deleting any of the messages, the `delError` event will be emitted with the
+   * failure object passed back by the AWS SDK. When a deletion is abandoned after exhausting its retries, the
+   * `delRetriesExhausted` event is emitted for each abandoned message as well.
    * @param {Array<{Id: string, ReceiptHandle: string}>} batch The batch of messages to be deleted, in the format
    *    required for sqs.deleteMessageBatch's Entries parameter.
+   * @param {number} [attempt=0] The number of times this batch has already been retried
+   * @returns {Promise} Resolves when the deletion attempt is complete, including any retries, whether or not it was
+   *    successful
    * @private
    */
-  _deleteMessages(batch) {
-    this.getQueueUrl().then((queueUrl) => {
+  _deleteMessages(batch, attempt) {
+    attempt = attempt || 0
+    const canRetry = attempt < this._opts.deleteRetries
+    const promise = this.getQueueUrl().then((queueUrl) => {
       return this.sqs.deleteMessageBatch({
         QueueUrl: queueUrl,
-        Entries: batch
+        Entries: batch.map(entry => ({ Id: entry.Id, ReceiptHandle: entry.ReceiptHandle }))
       }).promise()
     }).then((data) => {
+      const retries = []
       if (data.Failed && data.Failed.length) {
-        data.Failed.forEach(fail => this.emit('delError', fail))
+        data.Failed.forEach(fail => {
+          const entry = batch.find(elem => elem.Id === fail.Id)
+          if (!retry.isRetryable(fail)) return this.emit('delError', fail)
+          if (canRetry) return retries.push(entry)
+          this.emit('delError', fail)
+          return this.emit('delRetriesExhausted', { entry, error: fail })
+        })
       }
+      const blobDeletes = []
       if (data.Successful && data.Successful.length) {
-        data.Successful.forEach(success => this.emit('deleted', success.Id))
+        data.Successful.forEach(success => {
+          const entry = batch.find(elem => elem.Id === success.Id)
+          if (entry.blobKey) blobDeletes.push(this._deleteBlob(entry.blobKey))
+          this.emit('deleted', success.Id)
+        })
       }
+      if (retries.length) blobDeletes.push(this._retryDeleteMessages(retries, attempt))
+      return Promise.all(blobDeletes)
+    }, (err) => {
+      const retryable = retry.isRetryable(err)
+      if (retryable && canRetry) return this._retryDeleteMessages(batch, attempt)
+      this.emit('error', err)
+      if (retryable) batch.forEach(entry => this.emit('delRetriesExhausted', { entry, error: err }))
+      return undefined
     }).catch((err) => {
       this.emit('error', err)
     })
+    if (!attempt) this._activeDeleteCount += batch.length
+    this._activeDeletes.add(promise)
+    promise.then(() => {
+      this._activeDeletes.delete(promise)
+      if (!attempt) this._activeDeleteCount -= batch.length
+    })
+    return promise
+  }
+
+  /**
+   * Deletes a message body from opts.blobStore, emitting the `error` event if the deletion fails.
+   * @param {string} key The key of the body to be deleted
+   * @returns {Promise} Resolves when the deletion attempt is complete, whether or not it was successful
+   * @private
+   */
+  _deleteBlob(key) {
+    return Promise.resolve()
+      .then(() => this._opts.blobStore.del(key))
+      .catch(err => this.emit('error', err))
+  }
+
+  /**
+   * Passes a received message through the middleware chain to the `message` event and the handler registered with
+   * {@link #process}. If a middleware function fails, the message is settled as though its handler had failed. The
+   * span started by opts.tracing.startSpan, if any, is finished once the handler is done, or once the message has
+   * been emitted if there is no handler. The time of delivery is recorded in the message's `deliveredAt` property.
+   * @param {Message} msg The message to be delivered
+   * @returns {Promise} Resolves when the message has been handled or settled
+   * @private
+   */
+  _deliverMessage(msg) {
+    msg.deliveredAt = new Date()
+    const finishSpan = this._startSpan(msg)
+    return this._runMiddleware(msg, 0)
+      .catch(err => {
+        this._failMessage(msg, err)
+        return false
+      })
+      .then(succeeded => {
+        if (typeof finishSpan === 'function') finishSpan(succeeded !== false)
+      })
+      .catch(err => this.emit('error', err))
+  }
+
+  /**
+   * Emits a message that has made it through the middleware chain, and passes it to the handler registered with
+   * {@link #process}, if there is one. If a `message` listener throws, the `error` event is emitted.
+   * @param {Message} msg The message to be emitted
+   * @returns {Promise.<boolean|undefined>} Resolves when the handler has finished with the message, with true if
+   *    it succeeded, false if it failed, or undefined if there is no handler.
+   * @private
+   */
+  _emitMessage(msg) {
+    try {
+      this.emit('message', msg)
+    } catch (err) {
+      this.emit('error', err)
+    }
+    if (!this._handler) return Promise.resolve()
+    if (this._opts.orderByGroup) return this._processGroupedMessage(msg, this._handler)
+    return this._processMessage(msg, this._handler)
   }
 
   /**
-   * Given an array of message bodies from SQS, this method will construct Message objects for each and emit them
-   * in separate `message` events.
+   * Given an array of message bodies from SQS, this method will construct Message objects for each and deliver them
+   * through the middleware chain in separate `message` events, in the order they were received. If any of the
+   * message bodies were saved in opts.blobStore or compressed, the batch is emitted once they have all been retrieved
+   * and decompressed; otherwise, it's emitted immediately. If a body cannot be loaded, the `error` event is emitted
+   * and the message is kept, so that it can be received again after its VisibilityTimeout expires. Messages whose
+   * bodies cannot be decoded are handled as described in {@link #_createMessage}. If opts.maxReceives is set,
+   * messages that have been received more times than that are sent to opts.deadLetterQueue instead of being emitted.
    * @param {Array<Object>} messages An array of SQS message objects, as returned from the aws sdk
+   * @returns {Promise} Resolves when every message has been emitted
    * @private
    */
   _emitMessages(messages) {
-    messages.forEach((msg) => {
-      const message = new Message({
-        squiss: this,
-        unwrapSns: this._opts.unwrapSns,
-        bodyFormat: this._opts.bodyFormat,
-        msg
+    const maxReceives = this._opts.maxReceives
+    const msgs = messages.filter((msg) => {
+      if (!maxReceives || parseInt(msg.Attributes.ApproximateReceiveCount, 10) <= maxReceives) return true
+      this._deadLetterMessage(msg)
+      return false
+    }).map(msg => this._createMessage(msg)).filter(message => message)
+    if (!this._opts.validator && !msgs.some(message => message.blobKey || message.compression)) {
+      msgs.forEach(message => this._throttleMessage(message))
+      return Promise.resolve()
+    }
+    return Promise.all(msgs.map(message => {
+      return message.loadBody().catch(err => {
+        this.emit('error', err)
+        message.keep()
+        return null
+      }).then(loaded => loaded && this._validateMessage(loaded))
+    })).then(loaded => {
+      loaded.forEach(message => {
+        if (message) this._throttleMessage(message)
       })
-      this._inFlight++
-      this.emit('message', message)
-    })
+    }).catch(err => this.emit('error', err))
+  }
+
+  /**
+   * Reports that a message's handler, or a middleware function, has failed to process it, and settles the message
+   * according to opts.handlerFailurePolicy.
+   * @param {Message} msg The message that failed
+   * @param {Error} err The error thrown or rejected by the handler or middleware
+   * @returns {Promise} Resolves when the message has been settled. Failures are emitted as `error` events.
+   * @private
+   */
+  _failMessage(msg, err) {
+    this.emit('handlerError', { message: msg, error: err })
+    if (this._concurrency) this._concurrency.recordFailure()
+    this._recordError(msg, err)
+    return Promise.resolve()
+      .then(() => this._applyFailurePolicy(msg, err))
+      .catch(e => this.emit('error', e))
+  }
+
+  /**
+   * Sends every queued message deletion to SQS immediately, in batches of opts.deleteBatchSize, rather than waiting
+   * for opts.deleteWaitMs to elapse.
+   * @returns {Promise} Resolves when all pending and in-progress deletions are complete
+   * @private
+   */
+  _flushDeletes() {
+    if (this._delTimer) {
+      clearTimeout(this._delTimer)
+      this._delTimer = null
+    }
+    while (this._delQueue.length) {
+      this._deleteMessages(this._delQueue.splice(0, this._opts.deleteBatchSize))
+    }
+    return Promise.all(Array.from(this._activeDeletes))
+  }
+
+  /**
+   * Sends every queued VisibilityTimeout change to SQS immediately, rather than waiting for
+   * opts.visibilityBatchWaitMs to elapse.
+   * @returns {Promise} Resolves when all of the flushed changes have been settled
+   * @private
+   */
+  _flushVisibilityChanges() {
+    if (this._visTimer) {
+      clearTimeout(this._visTimer)
+      this._visTimer = null
+    }
+    const batches = []
+    while (this._visQueue.length) {
+      batches.push(this._changeVisibilities(this._visQueue.splice(0, this._opts.visibilityBatchSize)))
+    }
+    return Promise.all(batches)
   }
 
   /**
@@ -462,19 +1519,35 @@ class Squiss extends EventEmitter {
    * @private
    */
   _getBatch(queueUrl) {
-    const next = this._getBatch.bind(this, queueUrl)
+    const next = () => {
+      if (this._running) this._getBatch(queueUrl)
+    }
     const params = {
       QueueUrl: queueUrl,
-      MaxNumberOfMessages: this._opts.receiveBatchSize,
-      WaitTimeSeconds: this._opts.receiveWaitTimeSecs
+      MaxNumberOfMessages: this._getReceiveBatchSize(),
+      WaitTimeSeconds: this._opts.receiveWaitTimeSecs,
+      MessageAttributeNames: [ 'All' ]
     }
     if (this._opts.visibilityTimeoutSecs !== undefined) {
       params.VisibilityTimeout = this._opts.visibilityTimeoutSecs
     }
+    const attributeNames = [ 'ApproximateReceiveCount' ].concat(this._opts.attributeNames)
+    if (this._opts.orderByGroup || this._opts.maxReceives) attributeNames.unshift('MessageGroupId')
+    if (this._opts.tracing && this._opts.tracing.awsTraceHeader) attributeNames.push(tracing.AWS_TRACE_HEADER)
+    params.AttributeNames = attributeNames.indexOf('All') >= 0 ? [ 'All' ]
+      : attributeNames.filter((name, idx) => attributeNames.indexOf(name) === idx)
+    const startedAt = Date.now()
+    this._lastPollAt = startedAt
     this._activeReq = this.sqs.receiveMessage(params)
     this._activeReq.promise().then((data) => {
       let gotMessages = true
       this._activeReq = null
+      this._lastReceiveAt = new Date()
+      this._consecutivePollErrors = 0
+      this.emit('pollComplete', {
+        durationMs: Date.now() - startedAt,
+        messageCount: data && data.Messages ? data.Messages.length : 0
+      })
       if (data && data.Messages) {
         this.emit('gotMessages', data.Messages.length)
         this._emitMessages(data.Messages)
@@ -482,6 +1555,7 @@ class Squiss extends EventEmitter {
         this.emit('queueEmpty')
         gotMessages = false
       }
+      if (!this._running) return
       if (this._slotsAvailable()) {
         if (gotMessages && this._opts.activePollIntervalMs) {
           setTimeout(next, this._opts.activePollIntervalMs)
@@ -492,6 +1566,7 @@ class Squiss extends EventEmitter {
         }
       } else {
         this._paused = true
+        this._pausedAt = Date.now()
         this.emit('maxInFlight')
       }
     }).catch((err) => {
@@ -499,12 +1574,101 @@ class Squiss extends EventEmitter {
       if (err.code && err.code === 'RequestAbortedError') {
         this.emit('aborted')
       } else {
+        this._consecutivePollErrors++
         setTimeout(next, this._opts.pollRetryMs)
         this.emit('error', err)
       }
     })
   }
 
+  /**
+   * Gets the number of milliseconds that can pass without a request for messages before {@link #health} reports
+   * Squiss as unhealthy.
+   * @returns {number} opts.healthMaxPollAgeMs, or a default based on the polling options if it isn't set
+   * @private
+   */
+  _getMaxPollAgeMs() {
+    if (this._opts.healthMaxPollAgeMs) return this._opts.healthMaxPollAgeMs
+    const intervalMs = Math.max(this._opts.activePollIntervalMs, this._opts.idlePollIntervalMs, this._opts.pollRetryMs)
+    return this._opts.receiveWaitTimeSecs * 1000 + intervalMs + 30000
+  }
+
+  /**
+   * Gets the labels that tell this instance's metrics apart from those of other instances.
+   * @returns {{queue: string}} The name of the queue, or its URL if it was given without a name
+   * @private
+   */
+  _getMetricsLabels() {
+    return { queue: this._opts.queueName || this._queueUrl }
+  }
+
+  /**
+   * Gets the number of messages to request in each receiveMessage call, which is opts.receiveBatchSize unless the
+   * current in-flight limit is lower.
+   * @returns {number} The number of messages to request
+   * @private
+   */
+  _getReceiveBatchSize() {
+    if (!this._concurrency) return this._opts.receiveBatchSize
+    return Math.min(this._opts.receiveBatchSize, this._concurrency.limit)
+  }
+
+  /**
+   * Calculates the number of seconds for which {@link #retryMessageLater} should hide a message, based on the
+   * number of times SQS reports it has been received. The delay never takes the message past the maximum
+   * VisibilityTimeout SQS allows, counted from when it was received.
+   * @param {Message} msg The message to be retried later
+   * @returns {number} The number of seconds to set as the message's VisibilityTimeout
+   * @private
+   */
+  _getRetryDelaySecs(msg) {
+    const receiveCount = msg.receiveCount || 1
+    const delaySecs = this._opts.backoffBaseSecs * Math.pow(this._opts.backoffFactor, receiveCount - 1)
+    const remainingSecs = AWS_MAX_VISIBILITY_SECS - (Date.now() - msg.receivedAt) / 1000
+    return Math.max(Math.round(Math.min(delaySecs, this._opts.backoffMaxSecs, remainingSecs)), 0)
+  }
+
+  /**
+   * Picks the failures from a sendMessageBatch response that should be retried: those that are likely to be
+   * temporary. On a FIFO queue, a failed message is only retried if that can't put its group out of order, which
+   * means no message before it in the group failed for good, and no message after it in the group was stored.
+   * @param {Array<Object>} entries The sendMessageBatch entries that were sent
+   * @param {{Successful: Array<{Id: string}>, Failed: Array<{Id: string, SenderFault: boolean, Code: string}>}} res
+   *    The sendMessageBatch response
+   * @returns {Array<Object>} The failures to be retried
+   * @private
+   */
+  _getSendRetries(entries, res) {
+    const retries = res.Failed.filter(fail => retry.isRetryable(fail))
+    if (!this._isFifo()) return retries
+    const hasId = (list, id) => list.some(item => item.Id === id)
+    const lastStored = new Map()
+    entries.forEach((entry, idx) => {
+      if (hasId(res.Successful, entry.Id)) lastStored.set(entry.MessageGroupId, idx)
+    })
+    const blocked = new Set()
+    const allowed = new Set()
+    entries.forEach((entry, idx) => {
+      if (!hasId(res.Failed, entry.Id)) return
+      const group = entry.MessageGroupId
+      const overtaken = lastStored.has(group) && lastStored.get(group) > idx
+      if (!blocked.has(group) && !overtaken && hasId(retries, entry.Id)) allowed.add(entry.Id)
+      else blocked.add(group)
+    })
+    return retries.filter(fail => allowed.has(fail.Id))
+  }
+
+  /**
+   * Gets the current trace context from opts.tracing.inject, to be sent with outgoing messages.
+   * @returns {{traceparent: string, tracestate: string, awsTraceHeader: string}|null} The trace context, or null if
+   *    there is none
+   * @private
+   */
+  _getTraceContext() {
+    const hooks = this._opts.tracing
+    return hooks && hooks.inject ? hooks.inject() || null : null
+  }
+
   /**
    * Initializes the TimeoutExtender and associates it with this Squiss instance, if and only if the options passed
    * to the constructor dictate that a TimeoutExtender is required.
@@ -525,47 +1689,312 @@ class Squiss extends EventEmitter {
   }
 
   /**
-   * Sends a batch of a maximum of 10 messages to Amazon SQS. The Id generated for each will be the stringified
-   * index of each message in the array, plus the startIndex
-   * @param {Array<string|Object>} messages An array of messages to be sent. Objects will be JSON.stringified.
-   * @param {number} [delay] The number of seconds by which to delay the delivery of the messages, max 900. If not
-   *    specified, the queue default will be used.
-   * @param {Object} [attributes] An optional attributes mapping to associate with all messages. For more information,
-   *    see http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/SQS.html#sendMessageBatch-property.
-   * @param {number} [startIndex=0] The index at which to start numbering the messages.
+   * Determines whether the configured queue is a FIFO queue, based on whether its name ends in ".fifo" as SQS
+   * requires.
+   * @returns {boolean} true if the queue is a FIFO queue; false otherwise.
+   * @private
+   */
+  _isFifo() {
+    return /\.fifo$/.test(this._opts.queueName || this._opts.queueUrl)
+  }
+
+  /**
+   * Processes the given message, then each message waiting in line behind it in the same FIFO message group, one at
+   * a time. If the handler fails for any message, every message still waiting in the group is released. Waiting
+   * messages that were settled in the meantime, such as by {@link #shutdown}, are skipped.
+   * @param {string} groupId The MessageGroupId being processed
+   * @param {Message} msg The next message in the group to be processed
+   * @param {function(Message): Promise|*} handler The handler registered through {@link #process}
+   * @returns {Promise} Resolves when the group has no more messages waiting
+   * @private
+   */
+  _processGroup(groupId, msg, handler) {
+    return this._processMessage(msg, handler).then(succeeded => {
+      const queue = this._groupQueues.get(groupId)
+      if (!succeeded) {
+        queue.splice(0).forEach(waiting => {
+          waiting.release().catch(err => this.emit('error', err))
+        })
+      }
+      let next = queue.shift()
+      while (next && next._handled) next = queue.shift()
+      if (!next) {
+        this._groupQueues.delete(groupId)
+        return undefined
+      }
+      return this._processGroup(groupId, next, handler)
+    })
+  }
+
+  /**
+   * Processes a message in order with the other messages of its FIFO message group. If no other message from the
+   * group is being processed, the message is passed to the handler immediately; otherwise, it waits in line for its
+   * group. Messages without a group are processed immediately.
+   * @param {Message} msg The message to be processed
+   * @param {function(Message): Promise|*} handler The handler registered through {@link #process}
+   * @returns {Promise} Resolves when the message has been settled or queued
+   * @private
+   */
+  _processGroupedMessage(msg, handler) {
+    const groupId = msg.groupId
+    if (!groupId) return this._processMessage(msg, handler)
+    const queue = this._groupQueues.get(groupId)
+    if (queue) {
+      queue.push(msg)
+      return Promise.resolve()
+    }
+    this._groupQueues.set(groupId, [])
+    return this._processGroup(groupId, msg, handler)
+  }
+
+  /**
+   * Converts a message and its attributes to the MessageBody and MessageAttributes to be sent to SQS. The body is
+   * encoded with the codec named by opts.bodyFormat, then compressed if opts.compressBodies is set and it's larger
+   * than opts.compressThresholdBytes. Finally, if opts.blobStore is set and the body is still larger than
+   * opts.blobThresholdBytes, it's saved to the blob store and a pointer to it is sent instead.
+   * @param {*} message The message to be sent
+   * @param {Object} [attributes] The attributes to be sent with the message, as accepted by {@link #sendMessage}
+   * @param {Object} [traceContext] The trace context to be sent with the message, as returned by
+   *    {@link #_getTraceContext}
+   * @returns {Promise.<{MessageBody: string, MessageAttributes: Object, MessageSystemAttributes: Object}>} Resolves
+   *    with the parameters to be sent
+   * @private
+   */
+  _prepareMessage(message, attributes, traceContext) {
+    const params = {}
+    return Promise.resolve().then(() => {
+      params.MessageBody = this._codec.encode(message)
+      if (attributes) params.MessageAttributes = attributeCodec.encode(attributes)
+      tracing.inject(params, traceContext)
+      const size = Buffer.byteLength(params.MessageBody)
+      if (!this._opts.compressBodies || size <= this._opts.compressThresholdBytes) return undefined
+      return compression.compress(params.MessageBody).then(body => {
+        params.MessageBody = body
+        params.MessageAttributes = Object.assign({}, params.MessageAttributes, {
+          [compression.ATTRIBUTE]: { DataType: 'String', StringValue: compression.METHOD }
+        })
+      })
+    }).then(() => {
+      const store = this._opts.blobStore
+      if (!store || Buffer.byteLength(params.MessageBody) <= this._opts.blobThresholdBytes) return params
+      const key = crypto.randomBytes(16).toString('hex')
+      return store.put(key, params.MessageBody).then(() => {
+        params.MessageBody = Message._createBlobPointer(key)
+        return params
+      })
+    })
+  }
+
+  /**
+   * Runs the given handler against a single message, deleting the message when the handler succeeds and applying
+   * the configured failure policy when it fails.
+   * @param {Message} msg The message to be processed
+   * @param {function(Message): Promise|*} handler The handler registered through {@link #process}
+   * @returns {Promise.<boolean>} Resolves when the message has been settled, with `true` if the handler succeeded
+   *    or `false` if it failed
+   * @private
+   */
+  _processMessage(msg, handler) {
+    return Promise.resolve()
+      .then(() => handler(msg))
+      .then(() => {
+        msg.del()
+        return true
+      }, err => {
+        this._failMessage(msg, err)
+        return false
+      })
+  }
+
+  /**
+   * Adds a message to the queue of messages to be deleted, deleting the queued messages from SQS when
+   * opts.deleteBatchSize is reached or opts.deleteWaitMs has passed.
+   * @param {{Id: string, ReceiptHandle: string, blobKey: string}} entry The message to be deleted, in the format
+   *    required for sqs.deleteMessageBatch's Entries parameter, plus the key of its body in opts.blobStore if
+   *    applicable
+   * @private
+   */
+  _queueDelete(entry) {
+    this._delQueue.push(entry)
+    if (this._delQueue.length >= this._opts.deleteBatchSize) {
+      if (this._delTimer) {
+        clearTimeout(this._delTimer)
+        this._delTimer = null
+      }
+      const delBatch = this._delQueue.splice(0, this._opts.deleteBatchSize)
+      this._deleteMessages(delBatch)
+    } else if (!this._delTimer) {
+      this._delTimer = setTimeout(() => {
+        this._delTimer = null
+        const delBatch = this._delQueue.splice(0, this._delQueue.length)
+        this._deleteMessages(delBatch)
+      }, this._opts.deleteWaitMs)
+    }
+  }
+
+  /**
+   * Remembers the last error reported by the handler passed to {@link #process} for a message, so that it can be
+   * recorded if the message is later sent to opts.deadLetterQueue. Only the most recent MAX_TRACKED_ERRORS errors
+   * are kept, and nothing is recorded unless opts.maxReceives is set.
+   * @param {Message} msg The message whose handler failed
+   * @param {Error} err The error thrown or rejected by the handler
+   * @private
+   */
+  _recordError(msg, err) {
+    if (!this._opts.maxReceives) return
+    const id = msg.raw.MessageId
+    this._lastErrors.delete(id)
+    this._lastErrors.set(id, getErrorMessage(err))
+    if (this._lastErrors.size > MAX_TRACKED_ERRORS) this._lastErrors.delete(this._lastErrors.keys().next().value)
+  }
+
+  /**
+   * Records how long a handled message took to handle with opts.adaptiveConcurrency, emitting `concurrencyChanged`
+   * if that changed the in-flight limit. The time is measured from the message's delivery, so that time spent held
+   * by the rate limit or waiting behind its message group doesn't count against the handler.
+   * @param {Message} msg The message that was handled
+   * @private
+   */
+  _recordHandling(msg) {
+    const change = this._concurrency.recordHandled(msg.handledAt - msg.deliveredAt)
+    if (change) this.emit('concurrencyChanged', change)
+  }
+
+  /**
+   * Resumes polling if it was paused for lack of available slots, and slots have since become available.
+   * @private
+   */
+  _resumePolling() {
+    if (this._paused && this._slotsAvailable()) {
+      this._paused = false
+      this._startPoller()
+    }
+  }
+
+  /**
+   * Waits an exponentially increasing amount of time, then attempts to delete the given messages again.
+   * @param {Array<{Id: string, ReceiptHandle: string}>} batch The batch of messages to be deleted
+   * @param {number} attempt The number of times this batch has already been retried
+   * @returns {Promise} Resolves when the retry is complete
+   * @private
+   */
+  _retryDeleteMessages(batch, attempt) {
+    const ms = retry.getBackoffMs(attempt, this._opts.deleteRetryBaseMs, this._opts.deleteRetryMaxMs)
+    return retry.wait(ms).then(() => this._deleteMessages(batch, attempt + 1))
+  }
+
+  /**
+   * Waits an exponentially increasing amount of time, then attempts to send the given messages again.
+   * @param {Array<Object>} entries The sendMessageBatch entries to be resent
+   * @param {number} attempt The number of times these entries have already been retried
+   * @returns {Promise.<{Successful: Array<Object>, Failed: Array<Object>}>} Resolves with the result of the retry
+   * @private
+   */
+  _retrySendMessageBatch(entries, attempt) {
+    const ms = retry.getBackoffMs(attempt, this._opts.sendRetryBaseMs, this._opts.sendRetryMaxMs)
+    return retry.wait(ms).then(() => this._sendMessageBatch(entries, attempt + 1))
+  }
+
+  /**
+   * Runs a message through the middleware chain, starting with the middleware at the given index. When the end of
+   * the chain is reached, the message is emitted. Each middleware function is called synchronously, so messages
+   * reach the end of the chain in the order they were received unless a middleware function delays calling `next`.
+   * @param {Message} msg The message to be passed through the chain
+   * @param {number} index The index of the next middleware function to be run
+   * @returns {Promise} Resolves when the rest of the chain, and the handler, have finished with the message
+   * @private
+   */
+  _runMiddleware(msg, index) {
+    const middleware = this._middleware[index]
+    if (!middleware) return this._emitMessage(msg)
+    try {
+      return Promise.resolve(middleware(msg, () => this._runMiddleware(msg, index + 1)))
+    } catch (err) {
+      return Promise.reject(err)
+    }
+  }
+
+  /**
+   * Sends batches of messages to a FIFO queue one after another, so that each message group is stored in order. Once
+   * a message has failed, the messages after it in the same group are not sent, and are reported as failed with the
+   * code "EarlierMessageFailed" instead.
+   * @param {{batches: Array<Array<Object>>, failed: Array<{Id: string}>}} packed The batches to be sent, and the
+   *    failures for entries that could not be placed in a batch, as produced by packBatches
+   * @param {Array<Object>} entries Every sendMessageBatch entry, in the order of their Ids
+   * @returns {Promise.<Array<{Successful: Array<Object>, Failed: Array<Object>}>>} Resolves with the results of each
+   *    batch. Rejects with API error on critical failure, in which case later batches are not sent.
+   * @private
+   */
+  _sendFifoBatches(packed, entries) {
+    const getGroup = id => entries[parseInt(id, 10)].MessageGroupId
+    const failedGroups = new Set(packed.failed.map(fail => getGroup(fail.Id)))
+    const results = []
+    return packed.batches.reduce((prev, batch) => prev.then(() => {
+      const skipped = batch.filter(entry => failedGroups.has(entry.MessageGroupId))
+      const toSend = batch.filter(entry => !failedGroups.has(entry.MessageGroupId))
+      results.push({
+        Successful: [],
+        Failed: skipped.map(entry => ({
+          Id: entry.Id,
+          SenderFault: true,
+          Code: 'EarlierMessageFailed',
+          Message: `Not sent because an earlier message in group ${entry.MessageGroupId} failed`
+        }))
+      })
+      if (!toSend.length) return undefined
+      return this._sendMessageBatch(toSend).then(res => {
+        res.Failed.forEach(fail => failedGroups.add(getGroup(fail.Id)))
+        results.push(res)
+      })
+    }), Promise.resolve()).then(() => results)
+  }
+
+  /**
+   * Sends a batch of messages to Amazon SQS, as split up by {@link #sendMessages}. Failures that are likely to be
+   * temporary, whether they affect the entire call or individual messages, are retried with exponential backoff up to
+   * opts.sendRetries times. Only the failed messages are resent.
+   * @param {Array<Object>} entries An array of a maximum of 10 entries, in the format required for
+   *    sqs.sendMessageBatch's Entries parameter.
+   * @param {number} [attempt=0] The number of times these entries have already been retried
    * @returns {Promise.<{Successful: Array<{Id: string, MessageId: string, MD5OfMessageAttributes: string,
    *    MD5OfMessageBody: string}>, Failed: Array<{Id: string, SenderFault: boolean, Code: string,
-   *    Message: string}>}>} Resolves with successful and failed messages, rejects with API error on critical failure.
+   *    Message: string}>}>} Resolves with successful and failed messages, including the results of any retries.
+   *    Rejects with API error on critical failure.
    * @private
    */
-  _sendMessageBatch(messages, delay, attributes, startIndex) {
-    const start = startIndex || 0
+  _sendMessageBatch(entries, attempt) {
+    attempt = attempt || 0
+    const canRetry = attempt < this._opts.sendRetries
     return this.getQueueUrl().then((queueUrl) => {
-      const params = {
+      return this.sqs.sendMessageBatch({
         QueueUrl: queueUrl,
-        Entries: []
-      }
-      messages.forEach((msg, idx) => {
-        const entry = {
-          Id: (start + idx).toString(),
-          MessageBody: typeof msg === 'object' ? JSON.stringify(msg) : msg
-        }
-        if (delay) entry.DelaySeconds = delay
-        if (attributes) entry.MessageAttributes = attributes
-        params.Entries.push(entry)
-      })
-      return this.sqs.sendMessageBatch(params).promise()
+        Entries: entries
+      }).promise()
+    }).then((res) => {
+      const retries = canRetry ? this._getSendRetries(entries, res) : []
+      if (!retries.length) return res
+      const retryEntries = entries.filter(entry => retries.some(fail => fail.Id === entry.Id))
+      return this._retrySendMessageBatch(retryEntries, attempt).then(retried => ({
+        Successful: res.Successful.concat(retried.Successful),
+        Failed: res.Failed.filter(fail => retries.indexOf(fail) < 0).concat(retried.Failed)
+      }))
+    }, (err) => {
+      if (!canRetry || !retry.isRetryable(err)) throw err
+      return this._retrySendMessageBatch(entries, attempt)
     })
   }
 
   /**
    * Determines if there are enough available slots to receive another batch of messages from Amazon SQS without going
-   * over the maxInFlight limit set in the constructor options.
+   * over the current in-flight limit. If this instance is polled as part of a
+   * {@link MultiSquiss}, the MultiSquiss makes that decision instead, through the function set as `_slotGate`.
    * @returns {boolean}
    * @private
    */
   _slotsAvailable() {
-    return !this._opts.maxInFlight || this._inFlight <= this._opts.maxInFlight - this._opts.receiveBatchSize
+    if (this._slotGate) return this._slotGate(this)
+    const limit = this.inFlightLimit
+    return !limit || this._inFlight <= limit - this._getReceiveBatchSize()
   }
 
   /**
@@ -579,6 +2008,127 @@ class Squiss extends EventEmitter {
       .then(queueUrl => this._getBatch(queueUrl))
       .catch(e => this.emit('error', e))
   }
+
+  /**
+   * Starts a consumer span for a received message with opts.tracing.startSpan. If the hook throws, the `error` event
+   * is emitted and the message is delivered without a span.
+   * @param {Message} msg The message about to be delivered
+   * @returns {function(boolean)|null} The function that finishes the span, if the hook returned one
+   * @private
+   */
+  _startSpan(msg) {
+    const hooks = this._opts.tracing
+    if (!hooks || !hooks.startSpan) return null
+    try {
+      return hooks.startSpan(msg)
+    } catch (err) {
+      this.emit('error', err)
+      return null
+    }
+  }
+
+  /**
+   * Delivers a received message within the rate set by opts.maxMessagesPerSecond. A message that arrives faster than
+   * the rate allows is either held until it can be delivered, or released back to the queue until then, depending on
+   * opts.rateLimitAction. Either way, the message is given the next free delivery slot, so that messages are
+   * delivered at the allowed rate. Held messages are tracked by the TimeoutExtender right away, if there is one, so
+   * that their VisibilityTimeout doesn't expire while they wait, and aren't delivered if they're settled in the
+   * meantime, such as by {@link #shutdown}. Released messages keep their slot, and are delivered immediately when
+   * they're received again.
+   * @param {Message} msg The message to be delivered
+   * @returns {Promise} Resolves when the message has been delivered and handled, or released
+   * @private
+   */
+  _throttleMessage(msg) {
+    if (!this._rateLimiter) return this._deliverMessage(msg)
+    const release = this._opts.rateLimitAction === 'release'
+    if (release && this._rateReservations.delete(msg.raw.MessageId)) return this._deliverMessage(msg)
+    const delayMs = this._rateLimiter.reserve()
+    if (!delayMs) return this._deliverMessage(msg)
+    this.emit('rateLimited', { message: msg, action: release ? 'release' : 'hold', delayMs })
+    if (!release) {
+      if (this._timeoutExtender) this._timeoutExtender.addMessage(msg)
+      return retry.wait(delayMs).then(() => {
+        if (!msg._handled) return this._deliverMessage(msg)
+        return undefined
+      })
+    }
+    const now = Date.now()
+    this._rateReservations.forEach((expiresAt, id) => {
+      if (expiresAt < now) this._rateReservations.delete(id)
+    })
+    this._rateReservations.set(msg.raw.MessageId, now + delayMs + RATE_RESERVATION_GRACE_MS)
+    this.handledMessage(msg)
+    return this.queueVisibilityChange(msg, Math.ceil(delayMs / 1000)).catch(err => this.emit('error', err))
+  }
+
+  /**
+   * Checks a message against opts.validator. If it's invalid, the `invalidMessage` event is emitted and the message
+   * is settled according to opts.invalidMessageAction.
+   * @param {Message} msg The message to be validated, with its body loaded
+   * @returns {Promise.<Message|null>} Resolves with the message if it's valid and should be emitted, or null if not
+   * @private
+   */
+  _validateMessage(msg) {
+    const validator = this._opts.validator
+    if (!validator) return Promise.resolve(msg)
+    return Promise.resolve().then(() => {
+      const valid = validator(msg.body, msg)
+      const errors = validator.errors
+      return Promise.resolve(valid).then(res => {
+        if (res !== false) return null
+        const err = new Error('Message failed validation')
+        if (errors) err.errors = errors
+        return err
+      })
+    }).catch(err => err).then(err => {
+      if (!err) return msg
+      this.emit('invalidMessage', { message: msg, error: err })
+      this._applyInvalidMessageAction(msg, err)
+      return null
+    })
+  }
+
+  /**
+   * Waits for the number of in-flight messages to reach zero, up to the given deadline.
+   * @param {number} timeoutMs The maximum number of milliseconds to wait
+   * @returns {Promise.<boolean>} Resolves with `true` if all in-flight messages were handled, or `false` if the
+   *    deadline passed first
+   * @private
+   */
+  _waitForDrain(timeoutMs) {
+    if (this._inFlight <= 0) return Promise.resolve(true)
+    return new Promise(resolve => {
+      let timer = null
+      const onDrained = () => {
+        clearTimeout(timer)
+        resolve(true)
+      }
+      timer = setTimeout(() => {
+        this.removeListener('drained', onDrained)
+        resolve(false)
+      }, timeoutMs)
+      this.once('drained', onDrained)
+    })
+  }
 }
 
+Squiss.FileBlobStore = FileBlobStore
+
+/**
+ * A consumer that polls several Squiss instances under a single maxInFlight limit. See {@link MultiSquiss}.
+ * @type {MultiSquiss}
+ */
+Squiss.MultiSquiss = MultiSquiss
+
+/**
+ * Registers a codec for message bodies, which can then be used by name as the bodyFormat of any Squiss instance
+ * created afterward. The "plain", "json", and "base64" codecs are built in.
+ * @param {string} name The name of the codec
+ * @param {{encode: function(*): string, decode: function(string): *}} codec The codec to be registered. `encode`
+ *    accepts an outgoing message and returns the string to be sent to SQS, and `decode` accepts the string body of
+ *    a received message and returns the decoded body.
+ */
+Squiss.registerCodec = codecs.register
+
 module.exports = Squiss
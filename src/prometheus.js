@@ -0,0 +1,107 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+/**
+ * The counters reported by {@link Squiss#getStats}, with the name and help text of the Prometheus metric for each.
+ * @type {Array<{stat: string, name: string, help: string}>}
+ */
+const COUNTERS = [
+  { stat: 'messagesReceived', name: 'messages_received_total', help: 'Messages received from SQS.' },
+  { stat: 'messagesHandled', name: 'messages_handled_total', help: 'Messages deleted, kept, or released.' },
+  { stat: 'messagesDeleted', name: 'messages_deleted_total', help: 'Messages successfully deleted from SQS.' },
+  { stat: 'deleteErrors', name: 'delete_errors_total', help: 'Messages that SQS failed to delete.' },
+  { stat: 'errors', name: 'errors_total', help: 'Errors emitted.' },
+  { stat: 'handlerErrors', name: 'handler_errors_total', help: 'Messages whose handler failed.' },
+  { stat: 'timeoutExtensions', name: 'timeout_extensions_total', help: 'Automatic VisibilityTimeout extensions.' },
+  {
+    stat: 'timeoutExtensionErrors',
+    name: 'timeout_extension_errors_total',
+    help: 'Automatic VisibilityTimeout extensions that failed.'
+  }
+]
+
+/**
+ * The gauges reported by {@link Squiss#getStats}, with the name and help text of the Prometheus metric for each.
+ * @type {Array<{stat: string, name: string, help: string}>}
+ */
+const GAUGES = [
+  { stat: 'inFlight', name: 'messages_in_flight', help: 'Messages currently in flight.' },
+  { stat: 'inFlightLimit', name: 'messages_in_flight_limit', help: 'Messages that may currently be in flight.' }
+]
+
+/**
+ * The histograms reported by {@link Squiss#getStats}, with the name and help text of the Prometheus metric for each.
+ * Prometheus expects durations in seconds, so they're converted from milliseconds.
+ * @type {Array<{stat: string, name: string, help: string}>}
+ */
+const HISTOGRAMS = [
+  { stat: 'pollLatencyMs', name: 'poll_duration_seconds', help: 'Time taken by each request for messages.' },
+  {
+    stat: 'handlingDurationMs',
+    name: 'handling_duration_seconds',
+    help: 'Time from receiving each message to handling it.'
+  }
+]
+
+/**
+ * Escapes a label value for the Prometheus text format.
+ * @param {*} value The label value
+ * @returns {string} The escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+/**
+ * Formats a set of labels for the Prometheus text format.
+ * @param {Object} labels A mapping of label names to values
+ * @returns {string} The labels in curly braces, or an empty string if there are none
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map(key => `${key}="${escapeLabel(labels[key])}"`)
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Formats the snapshots returned by {@link Squiss#getStats} in the Prometheus text exposition format, ready to be
+ * served from a `/metrics` endpoint. Several snapshots can be formatted together, each with its own labels, so that
+ * the metrics of several queues can be served from the same endpoint.
+ * @param {Array<{stats: Object, labels: Object}>} sources The snapshots to be formatted, each with a mapping of
+ *    label names to values that tell it apart from the others, such as the name of its queue
+ * @param {Object} [opts] A mapping of formatting options
+ * @param {string} [opts.prefix="squiss_"] The prefix for the name of every metric
+ * @param {Object} [opts.labels={}] A mapping of label names to values to attach to every metric
+ * @returns {string} The metrics in the Prometheus text format
+ */
+function format(sources, opts) {
+  opts = Object.assign({ prefix: 'squiss_', labels: {} }, opts)
+  const lines = []
+  const forEachSource = (metric, type, fn) => {
+    lines.push(`# HELP ${opts.prefix}${metric.name} ${metric.help}`)
+    lines.push(`# TYPE ${opts.prefix}${metric.name} ${type}`)
+    sources.forEach(source => fn(source.stats[metric.stat], Object.assign({}, opts.labels, source.labels)))
+  }
+  COUNTERS.forEach(metric => forEachSource(metric, 'counter', (value, labels) => {
+    lines.push(`${opts.prefix}${metric.name}${formatLabels(labels)} ${value}`)
+  }))
+  GAUGES.forEach(metric => forEachSource(metric, 'gauge', (value, labels) => {
+    lines.push(`${opts.prefix}${metric.name}${formatLabels(labels)} ${value}`)
+  }))
+  HISTOGRAMS.forEach(metric => forEachSource(metric, 'histogram', (histogram, labels) => {
+    const name = opts.prefix + metric.name
+    histogram.buckets.forEach(bucket => {
+      lines.push(`${name}_bucket${formatLabels(Object.assign({}, labels, { le: bucket.le / 1000 }))} ${bucket.count}`)
+    })
+    lines.push(`${name}_bucket${formatLabels(Object.assign({}, labels, { le: '+Inf' }))} ${histogram.count}`)
+    lines.push(`${name}_sum${formatLabels(labels)} ${histogram.sum / 1000}`)
+    lines.push(`${name}_count${formatLabels(labels)} ${histogram.count}`)
+  }))
+  return `${lines.join('\n')}\n`
+}
+
+module.exports = {
+  format
+}
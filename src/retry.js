@@ -0,0 +1,67 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+/**
+ * Error codes, from either SQS itself or the AWS SDK's networking layer, that indicate a failed request is likely
+ * to succeed if it's attempted again.
+ * @type {Array<string>}
+ */
+const RETRYABLE_CODES = [
+  'RequestThrottled',
+  'Throttling',
+  'ThrottlingException',
+  'InternalError',
+  'InternalFailure',
+  'ServiceUnavailable',
+  'NetworkingError',
+  'TimeoutError',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN'
+]
+
+/**
+ * Determines whether a failure reported by SQS is worth retrying. This accepts both Error objects thrown by the AWS
+ * SDK and the per-entry failure objects found in the `Failed` array of a batch response.
+ * @param {Error|{Code: string, SenderFault: boolean}} err The error or batch failure object to be checked
+ * @returns {boolean} true if the failed request should be retried; false otherwise.
+ */
+function isRetryable(err) {
+  if (!err) return false
+  if (err.retryable === true || err.SenderFault === false) return true
+  return RETRYABLE_CODES.indexOf(err.code || err.Code) >= 0
+}
+
+/**
+ * Calculates the number of milliseconds to wait before the next attempt of a failed request, using exponential
+ * backoff with jitter. The result falls randomly between half and all of the exponential delay for the given
+ * attempt, so that many clients failing at once don't all retry at the same moment.
+ * @param {number} attempt The number of attempts that have already failed, minus one. Starts at 0.
+ * @param {number} baseMs The delay, in milliseconds, on which to base the exponential curve
+ * @param {number} maxMs The maximum delay, in milliseconds, regardless of the attempt number
+ * @returns {number} The number of milliseconds to wait
+ */
+function getBackoffMs(attempt, baseMs, maxMs) {
+  const ceiling = Math.min(maxMs, baseMs * Math.pow(2, attempt))
+  return Math.floor(ceiling / 2 + Math.random() * ceiling / 2)
+}
+
+/**
+ * Returns a Promise that resolves after the given number of milliseconds.
+ * @param {number} ms The number of milliseconds to wait
+ * @returns {Promise} Resolves when the time has elapsed
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+module.exports = {
+  isRetryable,
+  getBackoffMs,
+  wait
+}
@@ -0,0 +1,80 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+/**
+ * The name of the message attribute that carries the W3C traceparent header.
+ * @type {string}
+ */
+const TRACEPARENT = 'traceparent'
+
+/**
+ * The name of the message attribute that carries the W3C tracestate header.
+ * @type {string}
+ */
+const TRACESTATE = 'tracestate'
+
+/**
+ * The name of the SQS system attribute that carries an AWS X-Ray trace header.
+ * @type {string}
+ */
+const AWS_TRACE_HEADER = 'AWSTraceHeader'
+
+/**
+ * Matches a valid W3C traceparent header: version, trace ID, parent ID, and flags, in lowercase hex.
+ * @type {RegExp}
+ */
+const TRACEPARENT_PATTERN = /^[\da-f]{2}-[\da-f]{32}-[\da-f]{16}-[\da-f]{2}$/
+
+/**
+ * Gets the trace context carried by a received message. The W3C tracestate is only used alongside a valid
+ * traceparent, as the spec requires.
+ * @param {Object} attributes The message's decoded MessageAttributes
+ * @param {Object} [systemAttributes] The message's SQS system attributes
+ * @returns {{traceparent: string, tracestate: string, awsTraceHeader: string}|null} The trace context, containing
+ *    only the values that were found, or null if none were
+ */
+function extract(attributes, systemAttributes) {
+  const context = {}
+  const traceparent = attributes[TRACEPARENT]
+  if (typeof traceparent === 'string' && TRACEPARENT_PATTERN.test(traceparent)) {
+    context.traceparent = traceparent
+    if (typeof attributes[TRACESTATE] === 'string') context.tracestate = attributes[TRACESTATE]
+  }
+  if (systemAttributes && systemAttributes[AWS_TRACE_HEADER]) {
+    context.awsTraceHeader = systemAttributes[AWS_TRACE_HEADER]
+  }
+  return Object.keys(context).length ? context : null
+}
+
+/**
+ * Adds a trace context to the parameters of an outgoing message. The W3C headers are sent as message attributes,
+ * unless the message already has attributes with those names, and the AWS trace header is sent as the
+ * AWSTraceHeader system attribute.
+ * @param {Object} params The SQS parameters of the message, to which the trace context is added
+ * @param {{traceparent: string, tracestate: string, awsTraceHeader: string}} [context] The trace context to add
+ * @returns {Object} The given params
+ */
+function inject(params, context) {
+  if (!context) return params
+  const attributes = {}
+  if (context.traceparent) {
+    attributes[TRACEPARENT] = { DataType: 'String', StringValue: context.traceparent }
+    if (context.tracestate) attributes[TRACESTATE] = { DataType: 'String', StringValue: context.tracestate }
+  }
+  if (Object.keys(attributes).length) params.MessageAttributes = Object.assign(attributes, params.MessageAttributes)
+  if (context.awsTraceHeader) {
+    params.MessageSystemAttributes = {
+      [AWS_TRACE_HEADER]: { DataType: 'String', StringValue: context.awsTraceHeader }
+    }
+  }
+  return params
+}
+
+module.exports = {
+  AWS_TRACE_HEADER,
+  extract,
+  inject
+}
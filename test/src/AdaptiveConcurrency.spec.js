@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const AdaptiveConcurrency = require('src/AdaptiveConcurrency')
+
+function handle(inst, count, durationMs) {
+  let change = null
+  for (let i = 0; i < count; i++) change = inst.recordHandled(durationMs)
+  return change
+}
+
+describe('AdaptiveConcurrency', () => {
+  it('starts at the maximum limit', () => {
+    new AdaptiveConcurrency({ maxInFlight: 30 }).limit.should.equal(30)
+    new AdaptiveConcurrency().limit.should.equal(100)
+  })
+  it('waits for a full window before adjusting the limit', () => {
+    const inst = new AdaptiveConcurrency({ maxInFlight: 10, windowSize: 5, maxFailureRate: 0 })
+    inst.recordFailure()
+    should.not.exist(handle(inst, 4, 10))
+    inst.limit.should.equal(10)
+    handle(inst, 1, 10).should.deep.equal({ limit: 5, previousLimit: 10, avgHandlingMs: 10, failureRate: 0.2 })
+  })
+  it('cuts the limit when messages take too long to handle', () => {
+    const inst = new AdaptiveConcurrency({ maxInFlight: 10, windowSize: 2, targetHandlingMs: 100 })
+    handle(inst, 2, 150).should.have.property('limit').equal(5)
+    handle(inst, 2, 150).should.have.property('limit').equal(2)
+  })
+  it('ignores handling time when there is no target', () => {
+    const inst = new AdaptiveConcurrency({ maxInFlight: 10, windowSize: 2 })
+    should.not.exist(handle(inst, 2, 100000))
+    inst.limit.should.equal(10)
+  })
+  it('cuts the limit when too many handlers fail', () => {
+    const inst = new AdaptiveConcurrency({ maxInFlight: 10, windowSize: 4, maxFailureRate: 0.25 })
+    inst.recordFailure()
+    should.not.exist(handle(inst, 4, 1))
+    inst.recordFailure()
+    inst.recordFailure()
+    handle(inst, 4, 1).should.have.property('failureRate').equal(0.5)
+    inst.limit.should.equal(5)
+  })
+  it('never cuts the limit below the minimum', () => {
+    const inst = new AdaptiveConcurrency({ minInFlight: 3, maxInFlight: 4, windowSize: 1, targetHandlingMs: 1 })
+    handle(inst, 1, 10).should.have.property('limit').equal(3)
+    should.not.exist(handle(inst, 1, 10))
+    inst.limit.should.equal(3)
+  })
+  it('raises the limit after healthy windows, up to the maximum', () => {
+    const inst = new AdaptiveConcurrency({ maxInFlight: 8, windowSize: 1, targetHandlingMs: 100, increase: 3 })
+    handle(inst, 1, 200)
+    inst.limit.should.equal(4)
+    handle(inst, 1, 10).should.deep.equal({ limit: 7, previousLimit: 4, avgHandlingMs: 10, failureRate: 0 })
+    handle(inst, 1, 10).should.have.property('limit').equal(8)
+    should.not.exist(handle(inst, 1, 10))
+  })
+})
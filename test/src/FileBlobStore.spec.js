@@ -0,0 +1,55 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const FileBlobStore = require('src/FileBlobStore')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+let dir = null
+let inst = null
+
+describe('FileBlobStore', () => {
+  beforeEach(() => {
+    dir = path.join(os.tmpdir(), `squiss-test-${process.pid}-${Date.now()}`)
+    fs.mkdirSync(dir)
+    inst = new FileBlobStore({ dir })
+  })
+  afterEach(() => {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)))
+    fs.rmdirSync(dir)
+    inst = null
+  })
+  it('requires a directory', () => {
+    (() => new FileBlobStore()).should.throw(/dir/)
+  })
+  it('saves, retrieves, and deletes a body', () => {
+    return inst.put('foo', 'bar').then(() => {
+      fs.readFileSync(path.join(dir, 'foo'), 'utf8').should.equal('bar')
+      return inst.get('foo')
+    }).then(body => {
+      body.should.equal('bar')
+      return inst.del('foo')
+    }).then(() => {
+      fs.readdirSync(dir).should.have.length(0)
+    })
+  })
+  it('rejects retrieving a body that does not exist', () => {
+    return inst.get('foo').should.be.rejectedWith(/ENOENT/)
+  })
+  it('ignores deleting a body that does not exist', () => {
+    return inst.del('foo').should.be.fulfilled()
+  })
+  it('rejects deletion errors other than a missing body', () => {
+    fs.mkdirSync(path.join(dir, 'foo'))
+    return inst.del('foo').should.be.rejected().then(() => {
+      fs.rmdirSync(path.join(dir, 'foo'))
+    })
+  })
+  it('rejects keys that could escape the directory', () => {
+    return inst.get('../foo').should.be.rejectedWith(/Invalid blob key/)
+  })
+})
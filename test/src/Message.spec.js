@@ -5,6 +5,7 @@
 'use strict'
 
 const Message = require('src/Message')
+const zlib = require('zlib')
 
 function getSQSMsg(body) {
   return {
@@ -50,6 +51,61 @@ describe('Message', () => {
     msg.body.should.have.property('Message').equal('foo')
     msg.body.should.have.property('bar').equal('baz')
   })
+  it('treats a blob pointer body as unloaded when given a blob store', () => {
+    const blobStore = { get: sinon.stub().returns(Promise.resolve('{"foo":"bar"}')) }
+    const msg = new Message({
+      msg: getSQSMsg(Message._createBlobPointer('abc123')),
+      bodyFormat: 'json',
+      blobStore
+    })
+    msg.blobKey.should.equal('abc123')
+    return msg.loadBody().then(res => {
+      res.should.equal(msg)
+      blobStore.get.should.be.calledWith('abc123')
+      msg.body.should.deep.equal({ foo: 'bar' })
+    })
+  })
+  it('resolves immediately when loading a message without a blob', () => {
+    const msg = new Message({
+      msg: getSQSMsg('foo'),
+      blobStore: {}
+    })
+    should.not.exist(msg.blobKey)
+    return msg.loadBody().then(res => {
+      res.should.equal(msg)
+      msg.body.should.equal('foo')
+    })
+  })
+  it('decompresses a compressed body before parsing it', () => {
+    const msg = new Message({
+      msg: Object.assign(getSQSMsg(zlib.gzipSync('{"foo":"bar"}').toString('base64')), {
+        MessageAttributes: {
+          SquissCompression: { DataType: 'String', StringValue: 'gzip' },
+          baz: { DataType: 'String', StringValue: 'fizz' }
+        }
+      }),
+      bodyFormat: 'json'
+    })
+    msg.compression.should.equal('gzip')
+    msg.attributes.should.deep.equal({ baz: 'fizz' })
+    return msg.loadBody().then(() => {
+      msg.body.should.deep.equal({ foo: 'bar' })
+      return msg.loadBody()
+    }).then(() => {
+      msg.body.should.deep.equal({ foo: 'bar' })
+    })
+  })
+  it('does not treat a blob pointer as special without a blob store', () => {
+    const body = Message._createBlobPointer('abc123')
+    const msg = new Message({ msg: getSQSMsg(body) })
+    should.not.exist(msg.blobKey)
+    msg.body.should.equal(body)
+  })
+  it('ignores malformed blob pointers', () => {
+    should.not.exist(Message._getBlobKey('["squiss.BlobPointer",'))
+    should.not.exist(Message._getBlobKey('["squiss.BlobPointer",{}]'))
+    should.not.exist(Message._getBlobKey('foo'))
+  })
   it('calls Squiss.deleteMessage on delete', (done) => {
     const msg = new Message({
       msg: getSQSMsg('{"Message":"foo","bar":"baz"}'),
@@ -118,5 +174,71 @@ describe('Message', () => {
     })
     message.release()
   })
+  it('exposes SQS system attributes through typed getters', () => {
+    const raw = getSQSMsg('foo')
+    raw.Attributes = {
+      SentTimestamp: '1500000000000',
+      ApproximateFirstReceiveTimestamp: '1500000001000',
+      ApproximateReceiveCount: '3',
+      SenderId: 'AIDAEXAMPLE',
+      SequenceNumber: '18849496460467696128',
+      MessageGroupId: 'grp'
+    }
+    const msg = new Message({ msg: raw })
+    msg.sentAt.should.deep.equal(new Date(1500000000000))
+    msg.firstReceivedAt.should.deep.equal(new Date(1500000001000))
+    msg.receiveCount.should.equal(3)
+    msg.senderId.should.equal('AIDAEXAMPLE')
+    msg.sequenceNumber.should.equal('18849496460467696128')
+    msg.groupId.should.equal('grp')
+    msg.queueLatencyMs.should.equal(msg.receivedAt - 1500000000000)
+  })
+  it('returns null for system attributes that were not received', () => {
+    const msg = new Message({ msg: getSQSMsg('foo') })
+    should.not.exist(msg.sentAt)
+    should.not.exist(msg.firstReceivedAt)
+    should.not.exist(msg.receiveCount)
+    should.not.exist(msg.senderId)
+    should.not.exist(msg.sequenceNumber)
+    should.not.exist(msg.groupId)
+    should.not.exist(msg.queueLatencyMs)
+  })
+  it('extracts the trace context', () => {
+    const raw = getSQSMsg('foo')
+    raw.MessageAttributes = {
+      traceparent: { DataType: 'String', StringValue: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01' }
+    }
+    raw.Attributes = { AWSTraceHeader: 'Root=1-abc' }
+    new Message({ msg: raw }).traceContext.should.deep.equal({
+      traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01',
+      awsTraceHeader: 'Root=1-abc'
+    })
+    should.not.exist(new Message({ msg: getSQSMsg('foo') }).traceContext)
+  })
+  it('records the URL of the queue it came from', () => {
+    new Message({ msg: getSQSMsg('foo'), queueUrl: 'http://foo.bar/queue' }).queueUrl
+      .should.equal('http://foo.bar/queue')
+    should.not.exist(new Message({ msg: getSQSMsg('foo') }).queueUrl)
+  })
+  it('calculates the handling duration once handled', () => {
+    const msg = new Message({ msg: getSQSMsg('foo') })
+    msg.receivedAt.should.be.an.instanceOf(Date)
+    should.not.exist(msg.deliveredAt)
+    should.not.exist(msg.handlingDurationMs)
+    msg.handledAt = new Date(msg.receivedAt.getTime() + 50)
+    msg.handlingDurationMs.should.equal(50)
+  })
+  it('calls Squiss.retryMessageLater on retryLater, once', () => {
+    const spy = sinon.spy()
+    const message = new Message({
+      msg: getSQSMsg('{"Message":"foo","bar":"baz"}'),
+      bodyFormat: 'json',
+      squiss: { retryMessageLater: spy }
+    })
+    message.retryLater()
+    message.retryLater()
+    spy.should.be.calledOnce()
+    spy.should.be.calledWith(message)
+  })
 })
 
@@ -0,0 +1,69 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const Metrics = require('src/Metrics')
+
+describe('Metrics', () => {
+  it('starts with every counter at zero', () => {
+    const stats = new Metrics().getStats()
+    stats.should.include({
+      messagesReceived: 0,
+      messagesHandled: 0,
+      messagesDeleted: 0,
+      deleteErrors: 0,
+      errors: 0,
+      handlerErrors: 0,
+      timeoutExtensions: 0,
+      timeoutExtensionErrors: 0
+    })
+    stats.pollLatencyMs.count.should.equal(0)
+    stats.handlingDurationMs.buckets[0].should.deep.equal({ le: 5, count: 0 })
+  })
+  it('counts events', () => {
+    const inst = new Metrics()
+    inst.record('gotMessages', 3)
+    inst.record('gotMessages', 2)
+    inst.record('handled', 'receiptHandle')
+    inst.record('deleted', 'id')
+    inst.record('delError', {})
+    inst.record('error', new Error('test'))
+    inst.record('handlerError', {})
+    inst.record('timeoutExtended', {})
+    inst.record('autoExtendFail', {})
+    inst.record('drained')
+    inst.getStats().should.include({
+      messagesReceived: 5,
+      messagesHandled: 1,
+      messagesDeleted: 1,
+      deleteErrors: 1,
+      errors: 1,
+      handlerErrors: 1,
+      timeoutExtensions: 1,
+      timeoutExtensionErrors: 1
+    })
+  })
+  it('counts poll latency and handling duration in histograms', () => {
+    const inst = new Metrics({ bucketsMs: [ 100, 10 ] })
+    inst.record('pollComplete', { durationMs: 5, messageCount: 1 })
+    inst.record('pollComplete', { durationMs: 50, messageCount: 0 })
+    inst.record('pollComplete', { durationMs: 500, messageCount: 0 })
+    inst.record('handled', { handlingDurationMs: 20 })
+    inst.record('handled', { handlingDurationMs: null })
+    inst.record('handled')
+    const stats = inst.getStats()
+    stats.pollLatencyMs.should.deep.equal({
+      count: 3,
+      sum: 555,
+      buckets: [ { le: 10, count: 1 }, { le: 100, count: 2 } ]
+    })
+    stats.handlingDurationMs.should.deep.equal({
+      count: 1,
+      sum: 20,
+      buckets: [ { le: 10, count: 0 }, { le: 100, count: 1 } ]
+    })
+    stats.messagesHandled.should.equal(3)
+  })
+})
@@ -0,0 +1,262 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const Squiss = require('src/index')
+const MultiSquiss = require('src/MultiSquiss')
+const SQSStub = require('test/stubs/SQSStub')
+const delay = require('delay')
+
+let inst = null
+const wait = (ms) => delay(ms === undefined ? 20 : ms)
+
+function getSquiss(name, msgCount, opts) {
+  const squiss = new Squiss(Object.assign({ queueUrl: `http://localhost:9324/queues/${name}` }, opts))
+  squiss.sqs = new SQSStub(msgCount, 0)
+  return squiss
+}
+
+function getMessages(multi) {
+  const msgs = []
+  multi.on('message', msg => msgs.push(msg))
+  return msgs
+}
+
+describe('MultiSquiss', () => {
+  afterEach(() => {
+    if (inst) inst.stop()
+    inst = null
+  })
+  describe('constructor', () => {
+    it('fails if no queues are specified', () => {
+      (() => new MultiSquiss()).should.throw(/queues/)
+      ;(() => new MultiSquiss({ queues: [] })).should.throw(/queues/)
+    })
+    it('fails if the strategy is not supported', () => {
+      (() => new MultiSquiss({ queues: [ getSquiss('a') ], strategy: 'random' })).should.throw(/random/)
+    })
+    it('accepts Squiss instances on their own or with a weight', () => {
+      const a = getSquiss('a')
+      const b = getSquiss('b')
+      inst = new MultiSquiss({ queues: [ a, { squiss: b, weight: 3 } ], strategy: 'weighted' })
+      inst.queues.should.deep.equal([ a, b ])
+      inst._entries[0].weight.should.equal(1)
+      inst._entries[1].weight.should.equal(3)
+    })
+    it('caps the receiveBatchSize of each queue to the shared maxInFlight', () => {
+      const a = getSquiss('a')
+      const b = getSquiss('b', 0, { receiveBatchSize: 5 })
+      inst = new MultiSquiss({ queues: [ a, b ], maxInFlight: 8 })
+      a._opts.receiveBatchSize.should.equal(8)
+      b._opts.receiveBatchSize.should.equal(5)
+    })
+  })
+  describe('polling', () => {
+    it('receives messages from every queue, recording where they came from', () => {
+      inst = new MultiSquiss({ queues: [ getSquiss('a', 2), getSquiss('b', 3) ] })
+      const msgs = getMessages(inst)
+      return inst.start().then(() => {
+        inst.running.should.be.true()
+        return wait()
+      }).then(() => {
+        inst.inFlight.should.equal(5)
+        msgs.filter(msg => msg.queueUrl === 'http://localhost:9324/queues/a').should.have.length(2)
+        msgs.filter(msg => msg.queueUrl === 'http://localhost:9324/queues/b').should.have.length(3)
+      })
+    })
+    it('does nothing when started twice', () => {
+      inst = new MultiSquiss({ queues: [ getSquiss('a') ] })
+      const spy = sinon.spy(inst.queues[0], 'start')
+      return inst.start().then(() => inst.start()).then(() => {
+        spy.should.be.calledOnce()
+      })
+    })
+    it('keeps the total number of messages in flight within maxInFlight', () => {
+      inst = new MultiSquiss({
+        queues: [ getSquiss('a', 10, { receiveBatchSize: 2 }), getSquiss('b', 10, { receiveBatchSize: 2 }) ],
+        maxInFlight: 5
+      })
+      const msgs = getMessages(inst)
+      const maxSpy = sinon.spy()
+      inst.queues[1].on('maxInFlight', maxSpy)
+      return inst.start().then(() => wait()).then(() => {
+        msgs.should.have.length(4)
+        maxSpy.should.be.called()
+        msgs[0].del()
+        msgs[1].del()
+        return wait()
+      }).then(() => {
+        msgs.should.have.length(6)
+        inst.inFlight.should.equal(4)
+      })
+    })
+    it('gives free slots to queues in order of priority', () => {
+      inst = new MultiSquiss({
+        queues: [ getSquiss('a', 4, { receiveBatchSize: 2 }), getSquiss('b', 4, { receiveBatchSize: 2 }) ],
+        maxInFlight: 2
+      })
+      const msgs = getMessages(inst)
+      return inst.start().then(() => wait()).then(() => {
+        msgs.should.have.length(2)
+        msgs.forEach(msg => msg.del())
+        return wait()
+      }).then(() => {
+        msgs.should.have.length(4)
+        msgs.forEach(msg => msg.queueUrl.should.match(/a$/))
+        msgs.slice(2).forEach(msg => msg.del())
+        return wait()
+      }).then(() => {
+        msgs.should.have.length(6)
+        msgs.slice(4).forEach(msg => msg.queueUrl.should.match(/b$/))
+      })
+    })
+    it('gives free slots to other queues when a queue comes up empty', () => {
+      inst = new MultiSquiss({
+        queues: [ getSquiss('a', 0, { receiveBatchSize: 1 }), getSquiss('b', 3, { receiveBatchSize: 1 }) ],
+        maxInFlight: 1
+      })
+      const msgs = getMessages(inst)
+      inst.on('message', msg => setImmediate(() => msg.del()))
+      return inst.start().then(() => {
+        inst.queues[1]._paused.should.be.true()
+        return wait()
+      }).then(() => {
+        msgs.should.have.length(3)
+        msgs.forEach(msg => msg.queueUrl.should.match(/b$/))
+      })
+    })
+    it('gives free slots to queues in proportion to their weight', () => {
+      inst = new MultiSquiss({
+        queues: [
+          getSquiss('a', 20, { receiveBatchSize: 1 }),
+          { squiss: getSquiss('b', 20, { receiveBatchSize: 1 }), weight: 3 }
+        ],
+        maxInFlight: 1,
+        strategy: 'weighted'
+      })
+      const msgs = getMessages(inst)
+      inst.on('message', msg => setImmediate(() => msg.del()))
+      return inst.start().then(() => wait()).then(() => {
+        const first = msgs.slice(0, 20)
+        const fromA = first.filter(msg => msg.queueUrl.match(/a$/)).length
+        const fromB = first.filter(msg => msg.queueUrl.match(/b$/)).length
+        fromA.should.equal(5)
+        fromB.should.equal(15)
+      })
+    })
+    it('does not cap the queues when maxInFlight is 0', () => {
+      inst = new MultiSquiss({ queues: [ getSquiss('a', 15), getSquiss('b', 15) ], maxInFlight: 0 })
+      return inst.start().then(() => wait()).then(() => {
+        inst.inFlight.should.equal(30)
+      })
+    })
+  })
+  describe('events', () => {
+    it('forwards the events of every queue', () => {
+      inst = new MultiSquiss({ queues: [ getSquiss('a'), getSquiss('b') ] })
+      const spy = sinon.spy()
+      inst.on('error', spy)
+      const err = new Error('test')
+      inst.queues[1].emit('error', err)
+      spy.should.be.calledWith(err)
+    })
+    it('emits drained when no queue has messages in flight', () => {
+      inst = new MultiSquiss({ queues: [ getSquiss('a', 1), getSquiss('b', 1) ] })
+      const msgs = getMessages(inst)
+      const spy = sinon.spy()
+      inst.on('drained', spy)
+      return inst.start().then(() => wait()).then(() => {
+        msgs[0].del()
+        spy.should.not.be.called()
+        msgs[1].del()
+        spy.should.be.calledOnce()
+      })
+    })
+  })
+  describe('getPrometheusMetrics', () => {
+    it('formats the metrics of every queue together', () => {
+      inst = new MultiSquiss({ queues: [ getSquiss('a', 2), getSquiss('b', 1) ] })
+      return inst.start().then(() => wait()).then(() => {
+        const text = inst.getPrometheusMetrics()
+        text.should.contain('squiss_messages_received_total{queue="http://localhost:9324/queues/a"} 2\n')
+        text.should.contain('squiss_messages_received_total{queue="http://localhost:9324/queues/b"} 1\n')
+        text.match(/# TYPE squiss_messages_received_total/g).should.have.length(1)
+      })
+    })
+  })
+  describe('process', () => {
+    it('handles messages from every queue with a single handler', () => {
+      inst = new MultiSquiss({ queues: [ getSquiss('a', 2), getSquiss('b', 2) ] })
+      const handler = sinon.spy()
+      const drainedSpy = sinon.spy()
+      inst.on('drained', drainedSpy)
+      inst.process(handler).should.equal(inst)
+      return inst.start().then(() => wait()).then(() => {
+        handler.should.have.callCount(4)
+        drainedSpy.should.be.called()
+      })
+    })
+  })
+  describe('use', () => {
+    it('adds middleware to every queue', () => {
+      inst = new MultiSquiss({ queues: [ getSquiss('a', 1), getSquiss('b', 1) ] })
+      const seen = []
+      inst.use((msg, next) => {
+        seen.push(msg.queueUrl)
+        return next()
+      }).should.equal(inst)
+      return inst.start().then(() => wait()).then(() => {
+        seen.should.have.length(2)
+      })
+    })
+  })
+  describe('stop', () => {
+    it('stops every queue', () => {
+      inst = new MultiSquiss({ queues: [ getSquiss('a'), getSquiss('b') ] })
+      return inst.start().then(() => {
+        inst.stop()
+        inst.running.should.be.false()
+        inst.queues.forEach(squiss => squiss.running.should.be.false())
+      })
+    })
+    it('does not resume paused queues once stopped', () => {
+      inst = new MultiSquiss({
+        queues: [ getSquiss('a', 2, { receiveBatchSize: 1 }), getSquiss('b', 0, { receiveBatchSize: 1 }) ],
+        maxInFlight: 1
+      })
+      const msgs = getMessages(inst)
+      const spy = sinon.spy(inst.queues[1], '_resumePolling')
+      return inst.start().then(() => wait()).then(() => {
+        inst.stop()
+        msgs[0].del()
+        spy.should.not.be.called()
+      })
+    })
+  })
+  describe('shutdown', () => {
+    it('shuts down every queue and resolves true when they drain', () => {
+      inst = new MultiSquiss({ queues: [ getSquiss('a', 1), getSquiss('b', 1) ] })
+      const msgs = getMessages(inst)
+      return inst.start().then(() => wait()).then(() => {
+        const shutdown = inst.shutdown({ timeoutMs: 1000 })
+        inst.running.should.be.false()
+        msgs.forEach(msg => msg.del())
+        return shutdown
+      }).then(drained => {
+        drained.should.be.true()
+      })
+    })
+    it('resolves false if any queue does not drain in time', () => {
+      inst = new MultiSquiss({ queues: [ getSquiss('a', 1), getSquiss('b', 1) ] })
+      const msgs = getMessages(inst)
+      return inst.start().then(() => wait()).then(() => {
+        msgs[0].del()
+        return inst.shutdown({ timeoutMs: 10 })
+      }).then(drained => {
+        drained.should.be.false()
+      })
+    })
+  })
+})
@@ -59,6 +59,24 @@ describe('TimeoutExtender', () => {
     inst._index.should.have.property('foo')
     inst._index.should.have.property('bar')
   })
+  it('reports the number of tracked messages', () => {
+    inst = new TimeoutExtender(new SquissStub())
+    inst.size.should.equal(0)
+    inst.addMessage(fooMsg)
+    inst.addMessage(barMsg)
+    inst.size.should.equal(2)
+    inst.deleteMessage(fooMsg)
+    inst.size.should.equal(1)
+  })
+  it('tracks a message only once when it is added twice', () => {
+    inst = new TimeoutExtender(new SquissStub())
+    inst.addMessage(fooMsg)
+    inst.addMessage(fooMsg)
+    inst.size.should.equal(1)
+    inst.deleteMessage(fooMsg)
+    inst.size.should.equal(0)
+    should.not.exist(inst._head)
+  })
   it('deletes a head node', () => {
     inst = new TimeoutExtender(new SquissStub())
     inst.addMessage(fooMsg)
@@ -83,10 +101,30 @@ describe('TimeoutExtender', () => {
     inst.deleteMessage(barMsg)
     inst._head.next.message.raw.MessageId.should.equal('baz')
   })
+  it('stops tracking and detaches from Squiss on stop', () => {
+    clock = sinon.useFakeTimers(100000)
+    const squiss = new SquissStub()
+    const spy = sinon.spy(squiss, 'queueVisibilityChange')
+    inst = new TimeoutExtender(squiss, { visibilityTimeoutSecs: 10 })
+    inst.addMessage(fooMsg)
+    inst.stop()
+    squiss.emit('message', barMsg)
+    clock.tick(20000)
+    spy.should.not.be.called()
+    inst._index.should.deep.equal({})
+    squiss.listeners('message').should.have.length(0)
+    squiss.listeners('handled').should.have.length(0)
+  })
+  it('stops cleanly when no messages are tracked', () => {
+    const squiss = new SquissStub()
+    inst = new TimeoutExtender(squiss)
+    inst.stop()
+    should.not.exist(inst._timer)
+  })
   it('renews a message approaching expiry', () => {
     clock = sinon.useFakeTimers(100000)
     const squiss = new SquissStub()
-    const spy = sinon.spy(squiss, 'changeMessageVisibility')
+    const spy = sinon.spy(squiss, 'queueVisibilityChange')
     inst = new TimeoutExtender(squiss, { visibilityTimeoutSecs: 10 })
     inst.addMessage(fooMsg)
     spy.should.not.be.called()
@@ -107,7 +145,7 @@ describe('TimeoutExtender', () => {
   it('renews two messages approaching expiry', () => {
     clock = sinon.useFakeTimers(100000)
     const squiss = new SquissStub()
-    const spy = sinon.spy(squiss, 'changeMessageVisibility')
+    const spy = sinon.spy(squiss, 'queueVisibilityChange')
     inst = new TimeoutExtender(squiss, { visibilityTimeoutSecs: 20 })
     inst.addMessage(fooMsg)
     clock.tick(10000)
@@ -123,7 +161,7 @@ describe('TimeoutExtender', () => {
   it('renews only until the configured age limit', () => {
     clock = sinon.useFakeTimers(100000)
     const squiss = new SquissStub()
-    const spy = sinon.spy(squiss, 'changeMessageVisibility')
+    const spy = sinon.spy(squiss, 'queueVisibilityChange')
     inst = new TimeoutExtender(squiss, { visibilityTimeoutSecs: 10, noExtensionsAfterSecs: 15 })
     inst.addMessage(fooMsg)
     clock.tick(10000)
@@ -135,15 +173,15 @@ describe('TimeoutExtender', () => {
     clock = sinon.useFakeTimers(100000)
     const squiss = new SquissStub()
     squiss.on('error', () => done())
-    squiss.changeMessageVisibility = sinon.stub().returns(Promise.reject(new Error('test')))
+    squiss.queueVisibilityChange = sinon.stub().returns(Promise.reject(new Error('test')))
     inst = new TimeoutExtender(squiss, { visibilityTimeoutSecs: 10 })
     inst.addMessage(fooMsg)
     clock.tick(6000)
   })
-  it('calls changeMessageVisibility with the appropriate timeout value', () => {
+  it('calls queueVisibilityChange with the appropriate timeout value', () => {
     clock = sinon.useFakeTimers(100000)
     const squiss = new SquissStub()
-    const spy = sinon.spy(squiss, 'changeMessageVisibility')
+    const spy = sinon.spy(squiss, 'queueVisibilityChange')
     inst = new TimeoutExtender(squiss, { visibilityTimeoutSecs: 10 })
     inst.addMessage(fooMsg)
     clock.tick(6000)
@@ -163,15 +201,55 @@ describe('TimeoutExtender', () => {
       }
       return done()
     })
-    squiss.changeMessageVisibility = sinon.stub().returns(Promise.reject(notExistError))
+    squiss.queueVisibilityChange = sinon.stub().returns(Promise.reject(notExistError))
     inst = new TimeoutExtender(squiss, { visibilityTimeoutSecs: 10 })
     inst.addMessage(fooMsg)
     clock.tick(6000)
   })
+  it('emits autoExtendFail when SQS reports a failed batch entry', done => {
+    clock = sinon.useFakeTimers(100000)
+    const squiss = new SquissStub()
+    const err = new Error('Some other reason')
+    err.failure = { Id: '0', SenderFault: true, Code: 'ReceiptHandleIsInvalid', Message: 'Some other reason' }
+    squiss.on('autoExtendFail', obj => {
+      try {
+        obj.should.deep.equal({ message: fooMsg, error: err })
+        should.not.exist(inst._index.foo)
+      } catch (e) {
+        return done(e)
+      }
+      return done()
+    })
+    squiss.queueVisibilityChange = sinon.stub().returns(Promise.reject(err))
+    inst = new TimeoutExtender(squiss, { visibilityTimeoutSecs: 10 })
+    inst.addMessage(fooMsg)
+    clock.tick(6000)
+  })
+  it('leaves the list intact if a failed message was handled in the meantime', done => {
+    clock = sinon.useFakeTimers(100000)
+    const squiss = new SquissStub()
+    let rejectChange = null
+    squiss.on('autoExtendFail', () => {
+      try {
+        inst._head.should.equal(inst._tail)
+        inst._head.message.should.equal(barMsg)
+      } catch (e) {
+        return done(e)
+      }
+      return done()
+    })
+    squiss.queueVisibilityChange = () => new Promise((resolve, reject) => { rejectChange = reject })
+    inst = new TimeoutExtender(squiss, { visibilityTimeoutSecs: 10 })
+    inst.addMessage(fooMsg)
+    clock.tick(6000)
+    inst.addMessage(barMsg)
+    inst.deleteMessage(fooMsg)
+    rejectChange(notExistError)
+  })
   it('extends only to the message lifetime maximum', () => {
     clock = sinon.useFakeTimers(43200000)
     const squiss = new SquissStub()
-    const spy = sinon.spy(squiss, 'changeMessageVisibility')
+    const spy = sinon.spy(squiss, 'queueVisibilityChange')
     inst = new TimeoutExtender(squiss, { visibilityTimeoutSecs: 10 })
     inst.addMessage(fooMsg)
     inst._head.receivedOn = 20000
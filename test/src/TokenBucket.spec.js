@@ -0,0 +1,50 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const TokenBucket = require('src/TokenBucket')
+
+let clock = null
+
+describe('TokenBucket', () => {
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(100000)
+  })
+  afterEach(() => {
+    clock.restore()
+  })
+  it('starts full, holding one token by default', () => {
+    const inst = new TokenBucket({ ratePerSec: 10 })
+    inst.reserve().should.equal(0)
+    inst.reserve().should.equal(100)
+  })
+  it('allows bursts up to its capacity', () => {
+    const inst = new TokenBucket({ ratePerSec: 10, capacity: 3 })
+    inst.reserve().should.equal(0)
+    inst.reserve().should.equal(0)
+    inst.reserve().should.equal(0)
+    inst.reserve().should.equal(100)
+  })
+  it('refills at the configured rate, up to its capacity', () => {
+    const inst = new TokenBucket({ ratePerSec: 10, capacity: 2 })
+    inst.reserve()
+    inst.reserve()
+    clock.tick(40)
+    inst.reserve().should.equal(60)
+    clock.tick(10000)
+    inst.reserve().should.equal(0)
+    inst.reserve().should.equal(0)
+    inst.reserve().should.equal(100)
+  })
+  it('reserves tokens ahead of time for each caller in turn', () => {
+    const inst = new TokenBucket({ ratePerSec: 4 })
+    inst.reserve().should.equal(0)
+    inst.reserve().should.equal(250)
+    inst.reserve().should.equal(500)
+    clock.tick(500)
+    inst.reserve().should.equal(250)
+    inst.reserve().should.equal(500)
+  })
+})
@@ -0,0 +1,59 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const attributes = require('src/attributes')
+
+describe('attributes', () => {
+  describe('encode', () => {
+    it('encodes strings, numbers, booleans, and Buffers', () => {
+      const bin = new Buffer('foo')
+      attributes.encode({ str: 'foo', num: 1.5, bool: false, bin }).should.deep.equal({
+        str: { DataType: 'String', StringValue: 'foo' },
+        num: { DataType: 'Number', StringValue: '1.5' },
+        bool: { DataType: 'String.boolean', StringValue: 'false' },
+        bin: { DataType: 'Binary', BinaryValue: bin }
+      })
+    })
+    it('passes through values already in the SQS format', () => {
+      const raw = { DataType: 'String.custom', StringValue: 'foo' }
+      attributes.encode({ raw }).raw.should.equal(raw)
+    })
+    it('omits null and undefined values', () => {
+      attributes.encode({ foo: null, bar: undefined }).should.deep.equal({})
+    })
+    it('throws on unsupported values', () => {
+      (() => attributes.encode({ foo: [ 1 ] })).should.throw(/"foo"/)
+    })
+  })
+  describe('getSize', () => {
+    it('counts the name, type, and value of each attribute', () => {
+      attributes.getSize(attributes.encode({ foo: 'bar', num: 12, bin: new Buffer([ 1, 2 ]) })).should.equal(
+        3 + 6 + 3 + 3 + 6 + 2 + 3 + 6 + 2)
+    })
+    it('returns 0 when there are no attributes', () => {
+      attributes.getSize().should.equal(0)
+    })
+  })
+  describe('decode', () => {
+    it('decodes each SQS data type', () => {
+      const bin = new Buffer('foo')
+      attributes.decode({
+        str: { DataType: 'String', StringValue: 'foo' },
+        num: { DataType: 'Number', StringValue: '1.5' },
+        bool: { DataType: 'String.boolean', StringValue: 'true' },
+        bin: { DataType: 'Binary', BinaryValue: bin },
+        custom: { DataType: 'Number.int', StringValue: '3' }
+      }).should.deep.equal({ str: 'foo', num: 1.5, bool: true, bin, custom: 3 })
+    })
+    it('returns an empty object when there are no attributes', () => {
+      attributes.decode().should.deep.equal({})
+    })
+    it('round-trips encoded values', () => {
+      const values = { str: 'foo', num: -2, bool: false }
+      attributes.decode(attributes.encode(values)).should.deep.equal(values)
+    })
+  })
+})
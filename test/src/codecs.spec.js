@@ -0,0 +1,43 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const codecs = require('src/codecs')
+
+describe('codecs', () => {
+  it('defaults to the plain codec', () => {
+    codecs.get().should.equal(codecs.get('plain'))
+  })
+  it('passes plain bodies through, stringifying objects on encode', () => {
+    const plain = codecs.get('plain')
+    plain.encode('foo').should.equal('foo')
+    plain.encode({ foo: 'bar' }).should.equal('{"foo":"bar"}')
+    plain.decode('{"foo":"bar"}').should.equal('{"foo":"bar"}')
+  })
+  it('parses JSON bodies', () => {
+    const json = codecs.get('json')
+    json.encode({ foo: 'bar' }).should.equal('{"foo":"bar"}')
+    json.encode('{"foo":"bar"}').should.equal('{"foo":"bar"}')
+    json.decode('{"foo":"bar"}').should.deep.equal({ foo: 'bar' })
+  })
+  it('base64-encodes binary bodies', () => {
+    const base64 = codecs.get('base64')
+    base64.encode(new Buffer([ 0, 255 ])).should.equal('AP8=')
+    base64.encode('foo').should.equal('Zm9v')
+    base64.decode('AP8=').should.deep.equal(new Buffer([ 0, 255 ]))
+  })
+  it('throws when getting an unregistered codec', () => {
+    (() => codecs.get('nope')).should.throw(/"nope"/)
+  })
+  it('registers custom codecs', () => {
+    const codec = { encode: body => body.join(','), decode: body => body.split(',') }
+    codecs.register('csv', codec)
+    codecs.get('csv').should.equal(codec)
+  })
+  it('requires custom codecs to encode and decode', () => {
+    (() => codecs.register('bad', { encode: () => '' })).should.throw(/decode/);
+    (() => codecs.register('bad')).should.throw(/encode/)
+  })
+})
@@ -0,0 +1,36 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const compression = require('src/compression')
+const zlib = require('zlib')
+
+describe('compression', () => {
+  it('compresses and decompresses a body', () => {
+    const body = new Array(1001).join('foo')
+    return compression.compress(body).then(compressed => {
+      compressed.length.should.be.below(body.length)
+      zlib.gunzipSync(new Buffer(compressed, 'base64')).toString().should.equal(body)
+      return compression.decompress(compressed, compression.METHOD)
+    }).then(decompressed => {
+      decompressed.should.equal(body)
+    })
+  })
+  it('rejects when compression fails', () => {
+    const stub = sinon.stub(zlib, 'gzip', (body, cb) => cb(new Error('test')))
+    return compression.compress('foo').should.be.rejectedWith(/test/).then(() => {
+      stub.restore()
+    }, err => {
+      stub.restore()
+      throw err
+    })
+  })
+  it('rejects bodies that are not valid gzip data', () => {
+    return compression.decompress('Zm9v', compression.METHOD).should.be.rejected()
+  })
+  it('rejects unsupported compression methods', () => {
+    return compression.decompress('Zm9v', 'lzma').should.be.rejectedWith(/lzma/)
+  })
+})
@@ -0,0 +1,76 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const healthServer = require('src/healthServer')
+const http = require('http')
+
+let server = null
+
+function request(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`http://127.0.0.1:${server.address().port}${path}`, res => {
+      let body = ''
+      res.on('data', chunk => { body += chunk })
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }))
+    }).on('error', reject)
+  })
+}
+
+describe('healthServer', () => {
+  afterEach(() => {
+    if (server) server.close()
+    server = null
+  })
+  it('serves a healthy status with a 200', () => {
+    return healthServer.start(() => ({ healthy: true, inFlight: 2 }), { port: 0, host: '127.0.0.1' }).then(res => {
+      server = res
+      return request('/health')
+    }).then(res => {
+      res.statusCode.should.equal(200)
+      res.headers['content-type'].should.equal('application/json')
+      JSON.parse(res.body).should.deep.equal({ healthy: true, inFlight: 2 })
+    })
+  })
+  it('serves an unhealthy status with a 503', () => {
+    return healthServer.start(() => ({ healthy: false }), { port: 0, host: '127.0.0.1' }).then(res => {
+      server = res
+      return request('/health')
+    }).then(res => {
+      res.statusCode.should.equal(503)
+      JSON.parse(res.body).should.deep.equal({ healthy: false })
+    })
+  })
+  it('gets the status anew for every request', () => {
+    let healthy = true
+    return healthServer.start(() => ({ healthy }), { port: 0, host: '127.0.0.1' }).then(res => {
+      server = res
+      return request('/health')
+    }).then(res => {
+      res.statusCode.should.equal(200)
+      healthy = false
+      return request('/health')
+    }).then(res => {
+      res.statusCode.should.equal(503)
+    })
+  })
+  it('serves the status on a custom path, ignoring the query string', () => {
+    return healthServer.start(() => ({ healthy: true }), { port: 0, host: '127.0.0.1', path: '/ready' }).then(res => {
+      server = res
+      return request('/ready?verbose=1')
+    }).then(res => {
+      res.statusCode.should.equal(200)
+      return request('/health')
+    }).then(res => {
+      res.statusCode.should.equal(404)
+    })
+  })
+  it('rejects when the port is unavailable', () => {
+    return healthServer.start(() => ({ healthy: true }), { port: 0, host: '127.0.0.1' }).then(res => {
+      server = res
+      return healthServer.start(() => ({ healthy: true }), { port: server.address().port, host: '127.0.0.1' })
+    }).should.be.rejectedWith(/EADDRINUSE/)
+  })
+})
@@ -8,12 +8,43 @@ const AWS = require('aws-sdk')
 const Squiss = require('src/index')
 const SQSStub = require('test/stubs/SQSStub')
 const delay = require('delay')
+const http = require('http')
 const Message = require('src/Message')
+const zlib = require('zlib')
 
 let inst = null
 const origSQS = AWS.SQS
 const wait = (ms) => delay(ms === undefined ? 20 : ms)
 
+function internalFailure(id) {
+  return { Id: id, SenderFault: false, Code: 'InternalError', Message: 'test' }
+}
+
+function getReceivedMsg(id, receiveCount, attributes) {
+  return {
+    MessageId: `id_${id}`,
+    ReceiptHandle: `${id}`,
+    Body: `{"num": ${id}}`,
+    Attributes: Object.assign({ ApproximateReceiveCount: `${receiveCount}` }, attributes)
+  }
+}
+
+function getBlobStore() {
+  const blobs = {}
+  return {
+    blobs,
+    put: sinon.spy((key, body) => {
+      blobs[key] = body
+      return Promise.resolve()
+    }),
+    get: sinon.spy(key => Promise.resolve(blobs[key])),
+    del: sinon.spy(key => {
+      delete blobs[key]
+      return Promise.resolve()
+    })
+  }
+}
+
 describe('index', () => {
   afterEach(() => {
     if (inst) inst.stop()
@@ -224,6 +255,23 @@ describe('index', () => {
         msgSpy.should.have.callCount(11)
       })
     })
+    it('decodes message attributes', () => {
+      const msgs = []
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      inst.on('message', msg => msgs.push(msg))
+      inst.sqs.msgs.push({
+        MessageId: 'id_0',
+        ReceiptHandle: '0',
+        Body: 'foo',
+        MessageAttributes: { num: { DataType: 'Number', StringValue: '42' } }
+      })
+      inst.start()
+      return wait().then(() => {
+        msgs.should.have.length(1)
+        msgs[0].attributes.should.deep.equal({ num: 42 })
+      })
+    })
     it('observes the visibilityTimeout setting', () => {
       inst = new Squiss({ queueUrl: 'foo', visibilityTimeoutSecs: 10 })
       inst.sqs = new SQSStub()
@@ -234,6 +282,8 @@ describe('index', () => {
           QueueUrl: 'foo',
           MaxNumberOfMessages: 10,
           WaitTimeSeconds: 20,
+          MessageAttributeNames: [ 'All' ],
+          AttributeNames: [ 'ApproximateReceiveCount' ],
           VisibilityTimeout: 10
         })
       })
@@ -380,6 +430,128 @@ describe('index', () => {
         spy.should.be.calledWith(sinon.match.instanceOf(Error))
       })
     })
+    it('retries deleting messages that failed for temporary reasons', () => {
+      const delSpy = sinon.spy()
+      const errSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', deleteBatchSize: 2, deleteRetryBaseMs: 1 })
+      inst.sqs = new SQSStub(2)
+      const stub = sinon.stub(inst.sqs, 'deleteMessageBatch')
+      stub.onFirstCall().returns({
+        promise: () => Promise.resolve({
+          Successful: [{ Id: 'id_0' }],
+          Failed: [{ Id: 'id_1', SenderFault: false, Code: 'InternalError', Message: 'oops' }]
+        })
+      })
+      stub.onSecondCall().returns({
+        promise: () => Promise.resolve({ Successful: [{ Id: 'id_1' }], Failed: [] })
+      })
+      inst.on('deleted', delSpy)
+      inst.on('delError', errSpy)
+      inst.on('message', msg => msg.del())
+      inst.start()
+      return wait().then(() => {
+        stub.should.be.calledTwice()
+        stub.secondCall.should.be.calledWith({
+          QueueUrl: 'foo',
+          Entries: [{ Id: 'id_1', ReceiptHandle: '1' }]
+        })
+        delSpy.should.be.calledTwice()
+        errSpy.should.not.be.called()
+      })
+    })
+    it('retries a delete call that failed for temporary reasons', () => {
+      const errSpy = sinon.spy()
+      const err = new Error('test')
+      err.code = 'RequestThrottled'
+      inst = new Squiss({ queueUrl: 'foo', deleteBatchSize: 1, deleteRetryBaseMs: 1 })
+      inst.sqs = new SQSStub(1)
+      const stub = sinon.stub(inst.sqs, 'deleteMessageBatch')
+      stub.onFirstCall().returns({ promise: () => Promise.reject(err) })
+      stub.onSecondCall().returns({
+        promise: () => Promise.resolve({ Successful: [{ Id: 'id_0' }], Failed: [] })
+      })
+      inst.on('error', errSpy)
+      inst.on('message', msg => msg.del())
+      inst.start()
+      return wait().then(() => {
+        stub.should.be.calledTwice()
+        errSpy.should.not.be.called()
+      })
+    })
+    it('gives up on failed deletes after the configured number of retries', () => {
+      const errSpy = sinon.spy()
+      const exhaustedSpy = sinon.spy()
+      const fail = { Id: 'id_0', SenderFault: false, Code: 'InternalError', Message: 'oops' }
+      inst = new Squiss({ queueUrl: 'foo', deleteBatchSize: 1, deleteRetries: 2, deleteRetryBaseMs: 1 })
+      inst.sqs = new SQSStub(1)
+      const stub = sinon.stub(inst.sqs, 'deleteMessageBatch').returns({
+        promise: () => Promise.resolve({ Successful: [], Failed: [fail] })
+      })
+      inst.on('delError', errSpy)
+      inst.on('delRetriesExhausted', exhaustedSpy)
+      inst.on('message', msg => msg.del())
+      inst.start()
+      return wait().then(() => {
+        stub.should.be.calledThrice()
+        errSpy.should.be.calledOnce()
+        errSpy.should.be.calledWith(fail)
+        exhaustedSpy.should.be.calledOnce()
+        exhaustedSpy.should.be.calledWith({ entry: { Id: 'id_0', ReceiptHandle: '0' }, error: fail })
+      })
+    })
+    it('gives up on failed delete calls after the configured number of retries', () => {
+      const errSpy = sinon.spy()
+      const exhaustedSpy = sinon.spy()
+      const err = new Error('test')
+      err.retryable = true
+      inst = new Squiss({ queueUrl: 'foo', deleteBatchSize: 1, deleteRetries: 1, deleteRetryBaseMs: 1 })
+      inst.sqs = new SQSStub(1)
+      const stub = sinon.stub(inst.sqs, 'deleteMessageBatch').returns({
+        promise: () => Promise.reject(err)
+      })
+      inst.on('error', errSpy)
+      inst.on('delRetriesExhausted', exhaustedSpy)
+      inst.on('message', msg => msg.del())
+      inst.start()
+      return wait().then(() => {
+        stub.should.be.calledTwice()
+        errSpy.should.be.calledOnce()
+        errSpy.should.be.calledWith(err)
+        exhaustedSpy.should.be.calledOnce()
+        exhaustedSpy.should.be.calledWith({ entry: { Id: 'id_0', ReceiptHandle: '0' }, error: err })
+      })
+    })
+    it('emits error when a deleted event listener throws', () => {
+      const errSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', deleteBatchSize: 1 })
+      inst.sqs = new SQSStub(1)
+      inst.on('deleted', () => { throw new Error('listener') })
+      inst.on('error', errSpy)
+      inst.on('message', msg => msg.del())
+      inst.start()
+      return wait().then(() => {
+        errSpy.should.be.calledOnce()
+        errSpy.should.be.calledWith(sinon.match.has('message', 'listener'))
+      })
+    })
+    it('emits error for messages that cannot be decoded, and emits the rest', () => {
+      const msgSpy = sinon.spy()
+      const errSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', bodyFormat: 'json' })
+      inst.sqs = new SQSStub(2)
+      inst.sqs.msgs[1].Body = 'not json'
+      inst.on('message', msgSpy)
+      inst.on('error', errSpy)
+      inst.start()
+      return wait().then(() => {
+        msgSpy.should.be.calledOnce()
+        msgSpy.firstCall.args[0].body.should.deep.equal({ num: 0 })
+        errSpy.should.be.calledOnce()
+        errSpy.firstCall.args[0].should.be.an.instanceOf(SyntaxError)
+        inst.inFlight.should.equal(1)
+        inst.health().consecutivePollErrors.should.equal(0)
+      })
+    })
     it('emits error when receive call fails', () => {
       const spy = sinon.spy()
       inst = new Squiss({ queueUrl: 'foo' })
@@ -514,6 +686,94 @@ describe('index', () => {
       })
     })
   })
+  describe('createQueue (FIFO)', () => {
+    it('creates a FIFO queue when the name ends in .fifo', () => {
+      inst = new Squiss({ queueName: 'foo.fifo' })
+      inst.sqs = new SQSStub(1)
+      const spy = sinon.spy(inst.sqs, 'createQueue')
+      return inst.createQueue().then(() => {
+        spy.should.be.calledWith({
+          QueueName: 'foo.fifo',
+          Attributes: {
+            ReceiveMessageWaitTimeSeconds: '20',
+            DelaySeconds: '0',
+            MaximumMessageSize: '262144',
+            MessageRetentionPeriod: '345600',
+            FifoQueue: 'true'
+          }
+        })
+      })
+    })
+    it('enables content-based deduplication if specified', () => {
+      inst = new Squiss({ queueName: 'foo.fifo', contentBasedDeduplication: true })
+      inst.sqs = new SQSStub(1)
+      const spy = sinon.spy(inst.sqs, 'createQueue')
+      return inst.createQueue().then(() => {
+        spy.should.be.calledWithMatch({
+          Attributes: { FifoQueue: 'true', ContentBasedDeduplication: 'true' }
+        })
+      })
+    })
+    it('ignores content-based deduplication for standard queues', () => {
+      inst = new Squiss({ queueName: 'foo', contentBasedDeduplication: true })
+      inst.sqs = new SQSStub(1)
+      const spy = sinon.spy(inst.sqs, 'createQueue')
+      return inst.createQueue().then(() => {
+        spy.firstCall.args[0].Attributes.should.not.have.property('ContentBasedDeduplication')
+        spy.firstCall.args[0].Attributes.should.not.have.property('FifoQueue')
+      })
+    })
+  })
+  describe('createQueue (dead-letter queue)', () => {
+    it('requires queueName to create a dead-letter queue', () => {
+      (() => new Squiss({ queueUrl: 'foo', createDeadLetterQueue: true })).should.throw(/queueName/)
+    })
+    it('exposes the dead-letter queue as a Squiss instance', () => {
+      inst = new Squiss({ queueName: 'foo', createDeadLetterQueue: true, bodyFormat: 'json' })
+      inst.deadLetterQueue.should.be.an.instanceOf(Squiss)
+      inst.deadLetterQueue.sqs.should.equal(inst.sqs)
+      inst.deadLetterQueue._opts.queueName.should.equal('foo-dlq')
+      inst.deadLetterQueue._opts.bodyFormat.should.equal('json')
+      should.not.exist(new Squiss({ queueName: 'foo' }).deadLetterQueue)
+    })
+    it('keeps the .fifo suffix at the end of the dead-letter queue name', () => {
+      inst = new Squiss({ queueName: 'foo.fifo', createDeadLetterQueue: true })
+      inst.deadLetterQueue._opts.queueName.should.equal('foo-dlq.fifo')
+    })
+    it('uses a custom dead-letter queue name if specified', () => {
+      inst = new Squiss({ queueName: 'foo', createDeadLetterQueue: true, deadLetterQueueName: 'bar' })
+      inst.deadLetterQueue._opts.queueName.should.equal('bar')
+    })
+    it('creates the dead-letter queue and sets a RedrivePolicy targeting it', () => {
+      inst = new Squiss({ queueName: 'foo', createDeadLetterQueue: true, redriveMaxReceiveCount: 3 })
+      inst.sqs = inst.deadLetterQueue.sqs = new SQSStub()
+      const createSpy = sinon.spy(inst.sqs, 'createQueue')
+      const attrSpy = sinon.spy(inst.sqs, 'getQueueAttributes')
+      return inst.createQueue().then(queueUrl => {
+        queueUrl.should.equal('http://localhost:9324/queues/foo')
+        createSpy.should.be.calledTwice()
+        createSpy.firstCall.args[0].QueueName.should.equal('foo-dlq')
+        attrSpy.should.be.calledWith({
+          AttributeNames: [ 'QueueArn' ],
+          QueueUrl: 'http://localhost:9324/queues/foo-dlq'
+        })
+        createSpy.secondCall.args[0].QueueName.should.equal('foo')
+        JSON.parse(createSpy.secondCall.args[0].Attributes.RedrivePolicy).should.deep.equal({
+          deadLetterTargetArn: 'arn:aws:sqs:us-east-1:123456789012:foo-dlq',
+          maxReceiveCount: '3'
+        })
+      })
+    })
+    it('does not create the queue if the dead-letter queue fails', () => {
+      inst = new Squiss({ queueName: 'foo', createDeadLetterQueue: true })
+      inst.sqs = inst.deadLetterQueue.sqs = new SQSStub()
+      const createSpy = sinon.spy(inst.sqs, 'createQueue')
+      inst.sqs.getQueueAttributes = () => ({ promise: () => Promise.reject(new Error('test')) })
+      return inst.createQueue().should.be.rejectedWith(/test/).then(() => {
+        createSpy.should.be.calledOnce()
+      })
+    })
+  })
   describe('changeMessageVisibility', () => {
     it('calls SQS SDK changeMessageVisibility method', () => {
       inst = new Squiss({ queueUrl: 'foo' })
@@ -557,6 +817,28 @@ describe('index', () => {
       })
     })
   })
+  describe('getQueueArn', () => {
+    it('resolves with the ARN of the queue', () => {
+      inst = new Squiss({ queueUrl: 'https://foo/bar' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'getQueueAttributes')
+      return inst.getQueueArn().then(arn => {
+        arn.should.equal('arn:aws:sqs:us-east-1:123456789012:bar')
+        spy.should.be.calledWith({
+          AttributeNames: [ 'QueueArn' ],
+          QueueUrl: 'https://foo/bar'
+        })
+      })
+    })
+    it('catches badly formed AWS responses', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      inst.sqs.getQueueAttributes = sinon.stub().returns({
+        promise: () => ({ foo: 'bar' })
+      })
+      return inst.getQueueArn().should.be.rejectedWith(/foo/)
+    })
+  })
   describe('getQueueUrl', () => {
     it('resolves with the provided queueUrl without hitting SQS', () => {
       inst = new Squiss({ queueUrl: 'foo' })
@@ -645,82 +927,502 @@ describe('index', () => {
       inst = new Squiss({ queueName: 'foo' })
       inst.sqs = new SQSStub(1)
       const handledSpy = sinon.spy(inst, 'handledMessage')
-      const visibilitySpy = sinon.spy(inst, 'changeMessageVisibility')
-      return inst.releaseMessage('foo').then(() => {
+      const visibilitySpy = sinon.spy(inst, 'queueVisibilityChange')
+      return inst.releaseMessage('0').then(() => {
         handledSpy.should.be.calledOnce()
         visibilitySpy.should.be.calledOnce()
-        visibilitySpy.should.be.calledWith('foo', 0)
+        visibilitySpy.should.be.calledWith('0', 0)
+      })
+    })
+    it('rejects when SQS fails to release the message', () => {
+      inst = new Squiss({ queueName: 'foo' })
+      inst.sqs = new SQSStub(1)
+      const spy = sinon.spy()
+      inst.on('released', spy)
+      return inst.releaseMessage('foo').should.be.rejectedWith(/does not exist/).then(() => {
+        spy.should.not.be.called()
       })
     })
   })
-  describe('sendMessage', () => {
-    it('sends a string message with no extra arguments', () => {
-      inst = new Squiss({ queueUrl: 'foo' })
+  describe('attributeNames', () => {
+    it('requests additional system attributes', () => {
+      inst = new Squiss({ queueUrl: 'foo', attributeNames: [ 'SentTimestamp', 'ApproximateReceiveCount' ] })
       inst.sqs = new SQSStub()
-      const spy = sinon.spy(inst.sqs, 'sendMessage')
-      return inst.sendMessage('bar').then(() => {
-        spy.should.be.calledOnce()
-        spy.should.be.calledWith({ QueueUrl: 'foo', MessageBody: 'bar' })
+      const spy = sinon.spy(inst.sqs, 'receiveMessage')
+      inst.start()
+      return wait().then(() => {
+        spy.should.be.calledWithMatch({ AttributeNames: [ 'ApproximateReceiveCount', 'SentTimestamp' ] })
       })
     })
-    it('sends a JSON message with no extra arguments', () => {
-      inst = new Squiss({ queueUrl: 'foo' })
+    it('requests only All when All is included', () => {
+      inst = new Squiss({ queueUrl: 'foo', orderByGroup: true, attributeNames: [ 'All' ] })
       inst.sqs = new SQSStub()
-      const spy = sinon.spy(inst.sqs, 'sendMessage')
-      return inst.sendMessage({ bar: 'baz' }).then(() => {
-        spy.should.be.calledOnce()
-        spy.should.be.calledWith({ QueueUrl: 'foo', MessageBody: '{"bar":"baz"}' })
+      const spy = sinon.spy(inst.sqs, 'receiveMessage')
+      inst.start()
+      return wait().then(() => {
+        spy.should.be.calledWithMatch({ AttributeNames: [ 'All' ] })
       })
     })
-    it('sends a message with a delay and attributes', () => {
+    it('records when a message is handled', () => {
+      const msgs = []
       inst = new Squiss({ queueUrl: 'foo' })
-      inst.sqs = new SQSStub()
-      const spy = sinon.spy(inst.sqs, 'sendMessage')
-      return inst.sendMessage('bar', 10, { baz: 'fizz' }).then(() => {
-        spy.should.be.calledWith({
-          QueueUrl: 'foo',
-          MessageBody: 'bar',
-          DelaySeconds: 10,
-          MessageAttributes: { baz: 'fizz' }
-        })
+      inst.sqs = new SQSStub(1)
+      inst.on('message', msg => msgs.push(msg))
+      inst.start()
+      return wait().then(() => {
+        should.not.exist(msgs[0].handledAt)
+        msgs[0].keep()
+        msgs[0].handledAt.should.be.an.instanceOf(Date)
+        const handledAt = msgs[0].handledAt
+        inst.handledMessage(msgs[0])
+        msgs[0].handledAt.should.equal(handledAt)
       })
     })
   })
-  describe('sendMessages', () => {
-    it('sends a single string message with no extra arguments', () => {
-      inst = new Squiss({ queueUrl: 'foo' })
-      inst.sqs = new SQSStub()
-      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
-      return inst.sendMessages('bar').then((res) => {
+  describe('validator', () => {
+    const getInst = opts => {
+      inst = new Squiss(Object.assign({ queueUrl: 'foo', bodyFormat: 'json', deleteWaitMs: 1,
+        visibilityBatchWaitMs: 1 }, opts))
+      inst.sqs = new SQSStub(3)
+      return inst
+    }
+    it('emits only valid messages and keeps invalid ones by default', () => {
+      const msgSpy = sinon.spy()
+      const invalidSpy = sinon.spy()
+      const validator = sinon.spy(body => body.num !== 1)
+      getInst({ validator })
+      const delSpy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      const visSpy = sinon.spy(inst.sqs, 'changeMessageVisibilityBatch')
+      inst.on('message', msgSpy)
+      inst.on('invalidMessage', invalidSpy)
+      inst.start()
+      return wait().then(() => {
+        validator.should.be.calledThrice()
+        validator.firstCall.args[0].should.deep.equal({ num: 0 })
+        validator.firstCall.args[1].should.be.an.instanceOf(Message)
+        msgSpy.should.be.calledTwice()
+        msgSpy.firstCall.args[0].body.num.should.equal(0)
+        msgSpy.secondCall.args[0].body.num.should.equal(2)
+        invalidSpy.should.be.calledOnce()
+        invalidSpy.firstCall.args[0].message.body.num.should.equal(1)
+        invalidSpy.firstCall.args[0].error.message.should.match(/failed validation/)
+        inst.inFlight.should.equal(2)
+        delSpy.should.not.be.called()
+        visSpy.should.not.be.called()
+      })
+    })
+    it('treats thrown errors and rejections as invalid', () => {
+      const invalidSpy = sinon.spy()
+      getInst({
+        validator: body => {
+          if (body.num === 0) throw new Error('thrown')
+          return body.num === 1 ? Promise.reject(new Error('rejected')) : Promise.resolve(true)
+        }
+      })
+      inst.on('invalidMessage', invalidSpy)
+      inst.start()
+      return wait().then(() => {
+        invalidSpy.should.be.calledTwice()
+        invalidSpy.firstCall.args[0].error.message.should.equal('thrown')
+        invalidSpy.secondCall.args[0].error.message.should.equal('rejected')
+      })
+    })
+    it('attaches the errors reported by a JSON Schema validator', () => {
+      const invalidSpy = sinon.spy()
+      const validator = () => {
+        validator.errors = [{ message: 'should have required property "name"' }]
+        return false
+      }
+      getInst({ validator })
+      inst.on('invalidMessage', invalidSpy)
+      inst.start()
+      return wait().then(() => {
+        invalidSpy.firstCall.args[0].error.errors.should.deep.equal(validator.errors)
+      })
+    })
+    it('attaches the errors for each message in a batch, ajv-style', () => {
+      const invalidSpy = sinon.spy()
+      const validator = body => {
+        validator.errors = body.num === 0 ? [{ message: 'should be >= 1' }] : null
+        return body.num !== 0
+      }
+      getInst({ validator })
+      inst.on('invalidMessage', invalidSpy)
+      inst.start()
+      return wait().then(() => {
+        invalidSpy.should.be.calledOnce()
+        invalidSpy.firstCall.args[0].message.body.num.should.equal(0)
+        invalidSpy.firstCall.args[0].error.errors.should.deep.equal([{ message: 'should be >= 1' }])
+      })
+    })
+    it('deletes invalid messages when configured to', () => {
+      getInst({ validator: () => false, invalidMessageAction: 'delete' })
+      const spy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      inst.start()
+      return wait().then(() => {
         spy.should.be.calledOnce()
-        spy.should.be.calledWith({
-          QueueUrl: 'foo',
-          Entries: [
-            { Id: '0', MessageBody: 'bar' }
-          ]
-        })
-        res.should.have.property('Successful').with.length(1)
-        res.Successful[0].should.have.property('Id').equal('0')
+        spy.firstCall.args[0].Entries.should.have.length(3)
+        inst.inFlight.should.equal(0)
       })
     })
-    it('sends a single JSON message with no extra arguments', () => {
+    it('releases invalid messages when configured to', () => {
+      getInst({ validator: () => false, invalidMessageAction: 'release' })
+      const spy = sinon.spy(inst.sqs, 'changeMessageVisibilityBatch')
+      inst.start()
+      return wait().then(() => {
+        spy.should.be.calledOnce()
+        spy.firstCall.args[0].Entries[0].VisibilityTimeout.should.equal(0)
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('sends invalid messages to the dead-letter queue when configured to', () => {
+      const dlq = new Squiss({ queueUrl: 'dlq' })
+      dlq.sqs = new SQSStub()
+      const sendSpy = sinon.stub(dlq.sqs, 'sendMessage').returns({ promise: () => Promise.resolve({}) })
+      getInst({ validator: body => body.num !== 1, invalidMessageAction: 'deadLetter', deadLetterQueue: dlq })
+      inst.sqs.msgs = [ getReceivedMsg(0, 1), getReceivedMsg(1, 1), getReceivedMsg(2, 1) ]
+      const delSpy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      inst.start()
+      return wait().then(() => {
+        sendSpy.should.be.calledOnce()
+        sendSpy.firstCall.args[0].MessageBody.should.equal('{"num": 1}')
+        sendSpy.firstCall.args[0].MessageAttributes.SquissLastError.StringValue.should.match(/failed validation/)
+        delSpy.should.be.calledWithMatch({ Entries: [{ Id: 'id_1', ReceiptHandle: '1' }] })
+        inst.inFlight.should.equal(2)
+      })
+    })
+    it('uses the dead-letter queue created by createDeadLetterQueue', () => {
+      inst = new Squiss({ queueName: 'foo', createDeadLetterQueue: true, invalidMessageAction: 'deadLetter' })
+      inst.deadLetterQueue.sqs = new SQSStub()
+      inst._queueUrl = 'foo'
+      inst.deadLetterQueue._queueUrl = 'foo-dlq'
+      const sendSpy = sinon.stub(inst.deadLetterQueue.sqs, 'sendMessage').returns({ promise: () => ({}) })
+      const raw = { MessageId: 'id_0', ReceiptHandle: '0', Body: 'foo', Attributes: { ApproximateReceiveCount: '1' } }
+      return inst._deadLetterMessage(raw, 'bad').then(() => {
+        sendSpy.should.be.calledWithMatch({ QueueUrl: 'foo-dlq', MessageBody: 'foo' })
+        sendSpy.firstCall.args[0].MessageAttributes.SquissLastError.StringValue.should.equal('bad')
+      })
+    })
+    it('requires a dead-letter queue for the deadLetter action', () => {
+      (() => new Squiss({ queueUrl: 'foo', invalidMessageAction: 'deadLetter' })).should.throw(/deadLetterQueue/)
+    })
+    it('emits error when an invalidMessage listener throws', () => {
+      const errSpy = sinon.spy()
+      getInst({ validator: () => false })
+      inst.on('error', errSpy)
+      inst.on('invalidMessage', () => { throw new Error('listener') })
+      inst.start()
+      return wait().then(() => {
+        errSpy.should.be.calledOnce()
+        errSpy.firstCall.args[0].message.should.equal('listener')
+      })
+    })
+    it('calls a custom invalid message action function', () => {
+      const action = sinon.spy(msg => msg.keep())
+      getInst({ validator: () => false, invalidMessageAction: action })
+      inst.start()
+      return wait().then(() => {
+        action.should.be.calledThrice()
+        action.firstCall.args[0].should.be.an.instanceOf(Message)
+        action.firstCall.args[1].should.be.an.instanceOf(Error)
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('emits error when the invalid message action fails', () => {
+      const errSpy = sinon.spy()
+      getInst({ validator: () => false, invalidMessageAction: () => { throw new Error('action') } })
+      inst.on('error', errSpy)
+      inst.start()
+      return wait().then(() => {
+        errSpy.should.be.calledThrice()
+        errSpy.firstCall.args[0].message.should.equal('action')
+      })
+    })
+    it('treats messages that cannot be decoded as invalid', () => {
+      const msgSpy = sinon.spy()
+      const invalidSpy = sinon.spy()
+      const validator = sinon.spy(() => true)
+      getInst({ validator, invalidMessageAction: 'delete' })
+      inst.sqs.msgs[1].Body = 'not json'
+      const delSpy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      inst.on('message', msgSpy)
+      inst.on('invalidMessage', invalidSpy)
+      inst.start()
+      return wait().then(() => {
+        validator.should.be.calledTwice()
+        msgSpy.should.be.calledTwice()
+        invalidSpy.should.be.calledOnce()
+        invalidSpy.firstCall.args[0].message.body.should.equal('not json')
+        invalidSpy.firstCall.args[0].error.should.be.an.instanceOf(SyntaxError)
+        delSpy.should.be.calledOnce()
+        delSpy.firstCall.args[0].Entries.should.have.length(1)
+        delSpy.firstCall.args[0].Entries[0].ReceiptHandle.should.equal('1')
+        inst.inFlight.should.equal(2)
+      })
+    })
+  })
+  describe('retryMessageLater', () => {
+    const getMsg = receiveCount => new Message({
+      msg: { MessageId: 'foo', ReceiptHandle: '0', Attributes: { ApproximateReceiveCount: `${receiveCount}` } }
+    })
+    it('marks the message as handled and hides it for the base delay on the first receive', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub(1)
+      const handledSpy = sinon.spy(inst, 'handledMessage')
+      const visibilitySpy = sinon.spy(inst, 'queueVisibilityChange')
+      const eventSpy = sinon.spy()
+      const msg = getMsg(1)
+      inst.on('retryScheduled', eventSpy)
+      return inst.retryMessageLater(msg).then(() => {
+        handledSpy.should.be.calledOnce()
+        visibilitySpy.should.be.calledWith(msg, 30)
+        eventSpy.should.be.calledWith({ message: msg, delaySecs: 30 })
+      })
+    })
+    it('grows the delay with the receive count', () => {
+      inst = new Squiss({ queueUrl: 'foo', backoffBaseSecs: 10, backoffFactor: 3 })
+      inst._getRetryDelaySecs(getMsg(1)).should.equal(10)
+      inst._getRetryDelaySecs(getMsg(2)).should.equal(30)
+      inst._getRetryDelaySecs(getMsg(4)).should.equal(270)
+    })
+    it('caps the delay at backoffMaxSecs and the SQS maximum', () => {
+      inst = new Squiss({ queueUrl: 'foo', backoffMaxSecs: 100 })
+      inst._getRetryDelaySecs(getMsg(10)).should.equal(100)
+      inst = new Squiss({ queueUrl: 'foo', backoffMaxSecs: 100000 })
+      inst._getRetryDelaySecs(getMsg(50)).should.equal(43200)
+    })
+    it('caps the delay at what remains of the SQS maximum since the message was received', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      const msg = getMsg(20)
+      msg.receivedAt = new Date(Date.now() - 40000 * 1000)
+      inst._getRetryDelaySecs(msg).should.equal(3200)
+      msg.receivedAt = new Date(Date.now() - 50000 * 1000)
+      inst._getRetryDelaySecs(msg).should.equal(0)
+    })
+    it('treats a message without a receive count as received once', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst._getRetryDelaySecs(new Message({ msg: { MessageId: 'foo' } })).should.equal(30)
+    })
+    it('rejects when SQS fails to change the visibility', () => {
       inst = new Squiss({ queueUrl: 'foo' })
       inst.sqs = new SQSStub()
-      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
-      return inst.sendMessages({bar: 'baz'}).then(() => {
+      const spy = sinon.spy()
+      inst.on('retryScheduled', spy)
+      return inst.retryMessageLater(getMsg(1)).should.be.rejectedWith(/does not exist/).then(() => {
+        spy.should.not.be.called()
+      })
+    })
+  })
+  describe('queueVisibilityChange', () => {
+    it('batches changes made within the wait time', () => {
+      inst = new Squiss({ queueUrl: 'foo', visibilityBatchWaitMs: 5 })
+      inst.sqs = new SQSStub(5)
+      const spy = sinon.spy(inst.sqs, 'changeMessageVisibilityBatch')
+      const msg = new Message({ msg: { MessageId: 'bar', ReceiptHandle: '1' } })
+      return Promise.all([
+        inst.queueVisibilityChange('0', 10),
+        inst.queueVisibilityChange(msg, 20)
+      ]).then(() => {
         spy.should.be.calledOnce()
         spy.should.be.calledWith({
           QueueUrl: 'foo',
           Entries: [
-            { Id: '0', MessageBody: '{"bar":"baz"}' }
+            { Id: '0', ReceiptHandle: '0', VisibilityTimeout: 10 },
+            { Id: '1', ReceiptHandle: '1', VisibilityTimeout: 20 }
           ]
         })
       })
     })
-    it('sends a single message with delay and attributes', () => {
-      inst = new Squiss({ queueUrl: 'foo' })
-      inst.sqs = new SQSStub()
-      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+    it('sends a batch immediately when it reaches the batch size', () => {
+      inst = new Squiss({ queueUrl: 'foo', visibilityBatchSize: 2, visibilityBatchWaitMs: 1000 })
+      inst.sqs = new SQSStub(5)
+      const spy = sinon.spy(inst.sqs, 'changeMessageVisibilityBatch')
+      const changes = []
+      for (let i = 0; i < 3; i++) changes.push(inst.queueVisibilityChange(i.toString(), 10))
+      return Promise.all(changes.slice(0, 2)).then(() => {
+        spy.should.be.calledOnce()
+        inst._visQueue.should.have.length(1)
+        return inst._flushVisibilityChanges()
+      }).then(() => {
+        spy.should.be.calledTwice()
+        should.not.exist(inst._visTimer)
+      })
+    })
+    it('rejects only the changes that SQS reports as failed', () => {
+      inst = new Squiss({ queueUrl: 'foo', visibilityBatchWaitMs: 1 })
+      inst.sqs = new SQSStub(1)
+      const good = inst.queueVisibilityChange('0', 10)
+      const bad = inst.queueVisibilityChange('5', 10)
+      return good.then(() => bad).then(() => {
+        throw new Error('should have rejected')
+      }, err => {
+        err.should.be.instanceOf(Error)
+        err.should.have.property('code').equal('ReceiptHandleIsInvalid')
+        err.should.have.property('failure').with.property('Id').equal('1')
+      })
+    })
+    it('rejects every change when the batch call fails', () => {
+      inst = new Squiss({ queueUrl: 'foo', visibilityBatchWaitMs: 1 })
+      inst.sqs = new SQSStub(2)
+      inst.sqs.changeMessageVisibilityBatch = () => ({
+        promise: () => Promise.reject(new Error('test'))
+      })
+      return Promise.all([
+        inst.queueVisibilityChange('0', 10).should.be.rejectedWith('test'),
+        inst.queueVisibilityChange('1', 10).should.be.rejectedWith('test')
+      ])
+    })
+    it('sends every change immediately with batch size=1', () => {
+      inst = new Squiss({ queueUrl: 'foo', visibilityBatchSize: 1, visibilityBatchWaitMs: 1000 })
+      inst.sqs = new SQSStub(2)
+      const spy = sinon.spy(inst.sqs, 'changeMessageVisibilityBatch')
+      return Promise.all([
+        inst.queueVisibilityChange('0', 10),
+        inst.queueVisibilityChange('1', 10)
+      ]).then(() => {
+        spy.should.be.calledTwice()
+      })
+    })
+    it('handles responses missing either result list', () => {
+      inst = new Squiss({ queueUrl: 'foo', visibilityBatchWaitMs: 1 })
+      inst.sqs = new SQSStub(1)
+      const stub = sinon.stub(inst.sqs, 'changeMessageVisibilityBatch')
+      stub.onFirstCall().returns({
+        promise: () => Promise.resolve({ Successful: [{ Id: '0' }] })
+      })
+      stub.onSecondCall().returns({
+        promise: () => Promise.resolve({ Failed: [{ Id: '0', SenderFault: true, Code: 'foo', Message: 'bar' }] })
+      })
+      return inst.queueVisibilityChange('0', 10).then(() => {
+        return inst.queueVisibilityChange('0', 10).should.be.rejectedWith('bar')
+      })
+    })
+  })
+  describe('sendMessage', () => {
+    it('sends a string message with no extra arguments', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      return inst.sendMessage('bar').then(() => {
+        spy.should.be.calledOnce()
+        spy.should.be.calledWith({ QueueUrl: 'foo', MessageBody: 'bar' })
+      })
+    })
+    it('sends a JSON message with no extra arguments', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      return inst.sendMessage({ bar: 'baz' }).then(() => {
+        spy.should.be.calledOnce()
+        spy.should.be.calledWith({ QueueUrl: 'foo', MessageBody: '{"bar":"baz"}' })
+      })
+    })
+    it('sends a message with a delay and attributes', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      return inst.sendMessage('bar', 10, { baz: 'fizz' }).then(() => {
+        spy.should.be.calledWith({
+          QueueUrl: 'foo',
+          MessageBody: 'bar',
+          DelaySeconds: 10,
+          MessageAttributes: { baz: { DataType: 'String', StringValue: 'fizz' } }
+        })
+      })
+    })
+    it('encodes plain attribute values', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      const attributes = {
+        str: 'fizz',
+        num: 42,
+        bool: true,
+        bin: new Buffer('buzz'),
+        raw: { DataType: 'Number.float', StringValue: '1.5' },
+        none: null
+      }
+      return inst.sendMessage('bar', null, attributes).then(() => {
+        spy.should.be.calledWith({
+          QueueUrl: 'foo',
+          MessageBody: 'bar',
+          MessageAttributes: {
+            str: { DataType: 'String', StringValue: 'fizz' },
+            num: { DataType: 'Number', StringValue: '42' },
+            bool: { DataType: 'String.boolean', StringValue: 'true' },
+            bin: { DataType: 'Binary', BinaryValue: attributes.bin },
+            raw: { DataType: 'Number.float', StringValue: '1.5' }
+          }
+        })
+      })
+    })
+    it('rejects attributes of an unsupported type without calling SQS', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      return inst.sendMessage('bar', null, { baz: {} }).should.be.rejectedWith(/baz/).then(() => {
+        spy.should.not.be.called()
+      })
+    })
+  })
+  describe('sendMessage (FIFO)', () => {
+    it('sends a message with a group and deduplication ID', () => {
+      inst = new Squiss({ queueUrl: 'https://foo/bar.fifo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      return inst.sendMessage('bar', null, null, { groupId: 'grp', deduplicationId: 'dup' }).then(() => {
+        spy.should.be.calledWith({
+          QueueUrl: 'https://foo/bar.fifo',
+          MessageBody: 'bar',
+          MessageGroupId: 'grp',
+          MessageDeduplicationId: 'dup'
+        })
+      })
+    })
+    it('rejects a FIFO message without a group ID before calling SQS', () => {
+      inst = new Squiss({ queueName: 'foo.fifo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      return inst.sendMessage('bar').should.be.rejectedWith(/groupId/).then(() => {
+        spy.should.not.be.called()
+      })
+    })
+  })
+  describe('sendMessages', () => {
+    it('sends a single string message with no extra arguments', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      return inst.sendMessages('bar').then((res) => {
+        spy.should.be.calledOnce()
+        spy.should.be.calledWith({
+          QueueUrl: 'foo',
+          Entries: [
+            { Id: '0', MessageBody: 'bar' }
+          ]
+        })
+        res.should.have.property('Successful').with.length(1)
+        res.Successful[0].should.have.property('Id').equal('0')
+      })
+    })
+    it('sends a single JSON message with no extra arguments', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      return inst.sendMessages({bar: 'baz'}).then(() => {
+        spy.should.be.calledOnce()
+        spy.should.be.calledWith({
+          QueueUrl: 'foo',
+          Entries: [
+            { Id: '0', MessageBody: '{"bar":"baz"}' }
+          ]
+        })
+      })
+    })
+    it('sends a single message with delay and attributes', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
       return inst.sendMessages('bar', 10, { baz: 'fizz' }).then(() => {
         spy.should.be.calledOnce()
         spy.should.be.calledWith({
@@ -729,7 +1431,7 @@ describe('index', () => {
             Id: '0',
             MessageBody: 'bar',
             DelaySeconds: 10,
-            MessageAttributes: { baz: 'fizz' }
+            MessageAttributes: { baz: { DataType: 'String', StringValue: 'fizz' } }
           }]
         })
       })
@@ -758,6 +1460,1690 @@ describe('index', () => {
         res.should.have.property('Failed').with.length(2)
       })
     })
+    it('splits batches that would exceed the maximum batch size in bytes', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      const big = new Array(100001).join('a')
+      const msgs = [ big, big, 'b', { body: big, attributes: { foo: 'bar' } } ]
+      return inst.sendMessages(msgs).then((res) => {
+        spy.should.be.calledTwice()
+        spy.firstCall.args[0].Entries.map(entry => entry.Id).should.deep.equal([ '0', '1', '2' ])
+        spy.secondCall.args[0].Entries.map(entry => entry.Id).should.deep.equal([ '3' ])
+        res.should.have.property('Successful').with.length(4)
+        res.should.have.property('Failed').with.length(0)
+      })
+    })
+    it('reports messages over maxMessageBytes as failed without sending them', () => {
+      inst = new Squiss({ queueUrl: 'foo', maxMessageBytes: 10 })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      const msgs = [ { body: 'short' }, { body: 'much too long' }, { body: 'short', attributes: { foo: 'bar' } } ]
+      return inst.sendMessages(msgs, null, null, { entries: true }).then((res) => {
+        spy.should.be.calledOnce()
+        spy.should.be.calledWith({ QueueUrl: 'foo', Entries: [{ Id: '0', MessageBody: 'short' }] })
+        res.Successful.should.have.length(1)
+        res.Failed.should.deep.equal([{
+          Id: '1',
+          SenderFault: true,
+          Code: 'MessageTooLong',
+          Message: 'Message is 13 bytes including attributes, which exceeds the maximum of 10',
+          OriginalMessage: msgs[1]
+        }, {
+          Id: '2',
+          SenderFault: true,
+          Code: 'MessageTooLong',
+          Message: 'Message is 17 bytes including attributes, which exceeds the maximum of 10',
+          OriginalMessage: msgs[2]
+        }])
+      })
+    })
+    it('does not call SQS when every message is too large', () => {
+      inst = new Squiss({ queueUrl: 'foo', maxMessageBytes: 1 })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      return inst.sendMessages('bar').then((res) => {
+        spy.should.not.be.called()
+        res.Successful.should.have.length(0)
+        res.Failed.should.have.length(1)
+      })
+    })
+    it('does not retry failed messages by default', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const stub = sinon.stub(inst.sqs, 'sendMessageBatch').returns({
+        promise: () => Promise.resolve({ Successful: [], Failed: [ internalFailure('0') ] })
+      })
+      return inst.sendMessages('bar').then((res) => {
+        stub.should.be.calledOnce()
+        res.Failed.should.deep.equal([ Object.assign(internalFailure('0'), { OriginalMessage: 'bar' }) ])
+      })
+    })
+    it('resends only the retryable failed messages', () => {
+      inst = new Squiss({ queueUrl: 'foo', sendRetries: 2, sendRetryBaseMs: 1 })
+      inst.sqs = new SQSStub()
+      const stub = sinon.stub(inst.sqs, 'sendMessageBatch')
+      stub.onFirstCall().returns({
+        promise: () => Promise.resolve({
+          Successful: [{ Id: '0' }],
+          Failed: [ internalFailure('1'), { Id: '2', SenderFault: true, Code: 'InvalidMessageContents', Message: '' } ]
+        })
+      })
+      stub.onSecondCall().returns({
+        promise: () => Promise.resolve({ Successful: [{ Id: '1' }], Failed: [] })
+      })
+      return inst.sendMessages([ 'a', 'b', 'c' ]).then((res) => {
+        stub.should.be.calledTwice()
+        stub.secondCall.args[0].Entries.should.deep.equal([{ Id: '1', MessageBody: 'b' }])
+        res.Successful.should.deep.equal([{ Id: '0' }, { Id: '1' }])
+        res.Failed.should.have.length(1)
+        res.Failed[0].Code.should.equal('InvalidMessageContents')
+        res.Failed[0].OriginalMessage.should.equal('c')
+      })
+    })
+    it('reports messages that are still failing after all retries', () => {
+      inst = new Squiss({ queueUrl: 'foo', sendRetries: 2, sendRetryBaseMs: 1 })
+      inst.sqs = new SQSStub()
+      const stub = sinon.stub(inst.sqs, 'sendMessageBatch').returns({
+        promise: () => Promise.resolve({ Successful: [], Failed: [ internalFailure('0') ] })
+      })
+      const msg = { foo: 'bar' }
+      return inst.sendMessages([ msg ]).then((res) => {
+        stub.should.be.calledThrice()
+        res.Failed.should.have.length(1)
+        res.Failed[0].Code.should.equal('InternalError')
+        res.Failed[0].OriginalMessage.should.equal(msg)
+      })
+    })
+    it('retries a batch call that fails for a temporary reason', () => {
+      inst = new Squiss({ queueUrl: 'foo', sendRetries: 1, sendRetryBaseMs: 1 })
+      inst.sqs = new SQSStub()
+      const err = new Error('test')
+      err.code = 'RequestThrottled'
+      const origSend = inst.sqs.sendMessageBatch.bind(inst.sqs)
+      const stub = sinon.stub(inst.sqs, 'sendMessageBatch', (params) => {
+        if (stub.calledOnce) return { promise: () => Promise.reject(err) }
+        return origSend(params)
+      })
+      return inst.sendMessages('bar').then((res) => {
+        stub.should.be.calledTwice()
+        res.Successful.should.have.length(1)
+      })
+    })
+    it('rejects when a batch call fails for any other reason', () => {
+      inst = new Squiss({ queueUrl: 'foo', sendRetries: 1, sendRetryBaseMs: 1 })
+      inst.sqs = new SQSStub()
+      const stub = sinon.stub(inst.sqs, 'sendMessageBatch').returns({
+        promise: () => Promise.reject(new Error('test'))
+      })
+      return inst.sendMessages('bar').should.be.rejectedWith(/test/).then(() => {
+        stub.should.be.calledOnce()
+      })
+    })
+    it('applies per-message options over the batch defaults', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      const msgs = [
+        { body: 'bar' },
+        { body: { baz: 'fizz' }, delay: 0, attributes: { buzz: 1, baz: null } },
+        { body: 'qux', delay: 30 }
+      ]
+      return inst.sendMessages(msgs, 10, { baz: 'fizz' }, { entries: true }).then(() => {
+        spy.should.be.calledWith({
+          QueueUrl: 'foo',
+          Entries: [{
+            Id: '0',
+            MessageBody: 'bar',
+            DelaySeconds: 10,
+            MessageAttributes: { baz: { DataType: 'String', StringValue: 'fizz' } }
+          }, {
+            Id: '1',
+            MessageBody: '{"baz":"fizz"}',
+            MessageAttributes: { buzz: { DataType: 'Number', StringValue: '1' } }
+          }, {
+            Id: '2',
+            MessageBody: 'qux',
+            DelaySeconds: 30,
+            MessageAttributes: { baz: { DataType: 'String', StringValue: 'fizz' } }
+          }]
+        })
+      })
+    })
+    it('sends objects with a body as message bodies unless entries is set', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      return inst.sendMessages([ { body: 'bar' }, { body: 'bar', delay: 10 }, null ]).then(() => {
+        spy.should.be.calledWith({
+          QueueUrl: 'foo',
+          Entries: [
+            { Id: '0', MessageBody: '{"body":"bar"}' },
+            { Id: '1', MessageBody: '{"body":"bar","delay":10}' },
+            { Id: '2', MessageBody: 'null' }
+          ]
+        })
+      })
+    })
+    it('rejects invalid entries without sending anything', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      const opts = { entries: true }
+      return Promise.all([
+        inst.sendMessages([ { body: 'bar' }, 'baz' ], null, null, opts).should.be.rejectedWith(/requires each entry/),
+        inst.sendMessages([ { delay: 10 } ], null, null, opts).should.be.rejectedWith(/requires each entry/),
+        inst.sendMessages([ { body: 'bar', baz: 'fizz' } ], null, null, opts).should.be.rejectedWith(/requires each/)
+      ]).then(() => {
+        spy.should.not.be.called()
+      })
+    })
+  })
+  describe('process', () => {
+    it('requires a handler function', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      const test = () => inst.process('foo')
+      test.should.throw(/handler/)
+    })
+    it('deletes messages when the handler resolves', () => {
+      const handler = sinon.spy(() => Promise.resolve())
+      inst = new Squiss({ queueUrl: 'foo', deleteBatchSize: 1 })
+      inst.sqs = new SQSStub(2)
+      const spy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      inst.process(handler).start()
+      return wait().then(() => {
+        handler.should.be.calledTwice()
+        spy.should.be.calledTwice()
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('only accepts one handler', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.process(() => {})
+      const test = () => inst.process(() => {})
+      test.should.throw(/once/)
+    })
+    it('deletes messages when a synchronous handler returns', () => {
+      inst = new Squiss({ queueUrl: 'foo', deleteBatchSize: 1 })
+      inst.sqs = new SQSStub(1)
+      const spy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      inst.process(() => {}).start()
+      return wait().then(() => {
+        spy.should.be.calledOnce()
+      })
+    })
+    it('releases messages and emits handlerError when the handler rejects', () => {
+      const err = new Error('test')
+      const errSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', visibilityBatchWaitMs: 1 })
+      inst.sqs = new SQSStub(1)
+      const spy = sinon.spy(inst.sqs, 'changeMessageVisibilityBatch')
+      inst.on('handlerError', errSpy)
+      inst.process(() => Promise.reject(err)).start()
+      return wait().then(() => {
+        errSpy.should.be.calledOnce()
+        errSpy.should.be.calledWith({ message: sinon.match.instanceOf(Message), error: err })
+        spy.should.be.calledOnce()
+        spy.should.be.calledWith({
+          QueueUrl: 'foo',
+          Entries: [{ Id: '0', ReceiptHandle: '0', VisibilityTimeout: 0 }]
+        })
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('emits error when the release after a handler failure fails', () => {
+      const errSpy = sinon.spy()
+      const rejectionSpy = sinon.spy()
+      process.on('unhandledRejection', rejectionSpy)
+      inst = new Squiss({ queueUrl: 'foo', visibilityBatchWaitMs: 1 })
+      inst.sqs = new SQSStub(1)
+      inst.sqs.changeMessageVisibilityBatch = () => ({
+        promise: () => Promise.reject(new Error('test'))
+      })
+      inst.on('error', errSpy)
+      inst.process(() => { throw new Error('handler') }).start()
+      return wait().then(() => {
+        process.removeListener('unhandledRejection', rejectionSpy)
+        errSpy.should.be.calledOnce()
+        errSpy.should.be.calledWith(sinon.match.has('message', 'test'))
+        rejectionSpy.should.not.be.called()
+      })
+    })
+    it('treats a thrown error as a failure', () => {
+      const errSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub(1)
+      inst.on('handlerError', errSpy)
+      inst.process(() => { throw new Error('test') }).start()
+      return wait().then(() => {
+        errSpy.should.be.calledOnce()
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('keeps failed messages when configured to', () => {
+      inst = new Squiss({ queueUrl: 'foo', handlerFailurePolicy: 'keep', visibilityBatchWaitMs: 1 })
+      inst.sqs = new SQSStub(1)
+      const visSpy = sinon.spy(inst.sqs, 'changeMessageVisibilityBatch')
+      const delSpy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      inst.on('handlerError', () => {})
+      inst.process(() => Promise.reject(new Error('test'))).start()
+      return wait().then(() => {
+        visSpy.should.not.be.called()
+        delSpy.should.not.be.called()
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('retries failed messages later when configured to', () => {
+      inst = new Squiss({ queueUrl: 'foo', handlerFailurePolicy: 'retryLater', visibilityBatchWaitMs: 1 })
+      inst.sqs = new SQSStub(1)
+      const spy = sinon.spy(inst.sqs, 'changeMessageVisibilityBatch')
+      inst.on('handlerError', () => {})
+      inst.process(() => Promise.reject(new Error('test'))).start()
+      return wait().then(() => {
+        spy.should.be.calledWith({
+          QueueUrl: 'foo',
+          Entries: [{ Id: '0', ReceiptHandle: '0', VisibilityTimeout: 30 }]
+        })
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('deletes failed messages when configured to', () => {
+      inst = new Squiss({ queueUrl: 'foo', handlerFailurePolicy: 'delete', deleteBatchSize: 1 })
+      inst.sqs = new SQSStub(1)
+      const spy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      inst.on('handlerError', () => {})
+      inst.process(() => Promise.reject(new Error('test'))).start()
+      return wait().then(() => {
+        spy.should.be.calledOnce()
+      })
+    })
+    it('calls a custom failure policy function', () => {
+      const err = new Error('test')
+      const policy = sinon.spy(msg => msg.keep())
+      inst = new Squiss({ queueUrl: 'foo', handlerFailurePolicy: policy })
+      inst.sqs = new SQSStub(1)
+      inst.on('handlerError', () => {})
+      inst.process(() => Promise.reject(err)).start()
+      return wait().then(() => {
+        policy.should.be.calledOnce()
+        policy.should.be.calledWith(sinon.match.instanceOf(Message), err)
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('emits error when the failure policy throws', () => {
+      const spy = sinon.spy()
+      inst = new Squiss({
+        queueUrl: 'foo',
+        handlerFailurePolicy: () => { throw new Error('policy') }
+      })
+      inst.sqs = new SQSStub(1)
+      inst.on('handlerError', () => {})
+      inst.on('error', spy)
+      inst.process(() => Promise.reject(new Error('test'))).start()
+      return wait().then(() => {
+        spy.should.be.calledOnce()
+        spy.should.be.calledWith(sinon.match.has('message', 'policy'))
+      })
+    })
+    it('leaves messages alone that the handler already settled', () => {
+      inst = new Squiss({ queueUrl: 'foo', deleteBatchSize: 1 })
+      inst.sqs = new SQSStub(1)
+      const spy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      const handledSpy = sinon.spy(inst, 'handledMessage')
+      inst.process(msg => msg.keep()).start()
+      return wait().then(() => {
+        spy.should.not.be.called()
+        handledSpy.should.be.calledOnce()
+      })
+    })
+  })
+  describe('middleware', () => {
+    it('requires a middleware function', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      const test = () => inst.use('foo')
+      test.should.throw(/middleware/)
+    })
+    it('runs middleware in order around the handler', () => {
+      const events = []
+      inst = new Squiss({ queueUrl: 'foo', deleteBatchSize: 1 })
+      inst.sqs = new SQSStub(1)
+      inst.on('message', () => events.push('message'))
+      inst.use((msg, next) => {
+        events.push('first')
+        return next().then(succeeded => events.push(`first done ${succeeded}`))
+      }).use((msg, next) => {
+        events.push('second')
+        msg.body = 'changed'
+        return next()
+      }).process(msg => {
+        events.push(`handler ${msg.body}`)
+        return delay(5)
+      }).start()
+      return wait().then(() => {
+        events.should.deep.equal([ 'first', 'second', 'message', 'handler changed', 'first done true' ])
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('emits messages in the order they were received', () => {
+      const received = []
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub(5)
+      inst.use((msg, next) => next())
+      inst.on('message', msg => received.push(msg.raw.MessageId))
+      inst.start()
+      return wait().then(() => {
+        received.should.deep.equal([ 'id_0', 'id_1', 'id_2', 'id_3', 'id_4' ])
+      })
+    })
+    it('lets middleware settle a message without calling the handler', () => {
+      const handler = sinon.spy()
+      const msgSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', deleteBatchSize: 1 })
+      inst.sqs = new SQSStub(1)
+      const spy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      inst.on('message', msgSpy)
+      inst.use(msg => msg.del()).process(handler).start()
+      return wait().then(() => {
+        handler.should.not.be.called()
+        msgSpy.should.not.be.called()
+        spy.should.be.calledOnce()
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('treats a failing middleware as a failed handler', () => {
+      const errSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', visibilityBatchWaitMs: 1 })
+      inst.sqs = new SQSStub(2)
+      const spy = sinon.spy(inst.sqs, 'changeMessageVisibilityBatch')
+      inst.on('handlerError', errSpy)
+      inst.use(msg => {
+        if (msg.raw.MessageId === 'id_0') throw new Error('thrown')
+        return Promise.reject(new Error('rejected'))
+      }).start()
+      return wait().then(() => {
+        errSpy.should.be.calledTwice()
+        errSpy.firstCall.args[0].error.message.should.equal('thrown')
+        errSpy.secondCall.args[0].error.message.should.equal('rejected')
+        spy.should.be.calledOnce()
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('emits error when a failed message cannot be settled', () => {
+      const errSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', handlerFailurePolicy: () => { throw new Error('policy') } })
+      inst.sqs = new SQSStub(1)
+      inst.on('error', errSpy)
+      inst.use(() => Promise.reject(new Error('test'))).start()
+      return wait().then(() => {
+        errSpy.should.be.calledOnce()
+        errSpy.firstCall.args[0].message.should.equal('policy')
+      })
+    })
+    it('emits error when a message listener throws', () => {
+      const errSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub(2)
+      inst.on('error', errSpy)
+      inst.on('message', () => { throw new Error('test') })
+      inst.start()
+      return wait().then(() => {
+        errSpy.should.be.calledTwice()
+        inst.inFlight.should.equal(2)
+      })
+    })
+  })
+  describe('adaptive concurrency', () => {
+    it('requires a maxInFlight cap', () => {
+      const test = () => new Squiss({ queueUrl: 'foo', adaptiveConcurrency: true, maxInFlight: 0 })
+      test.should.throw(/maxInFlight/)
+    })
+    it('uses maxInFlight as the limit when disabled', () => {
+      inst = new Squiss({ queueUrl: 'foo', maxInFlight: 15 })
+      inst.inFlightLimit.should.equal(15)
+    })
+    it('lowers the limit and the receive batch size when the handler fails', () => {
+      const spy = sinon.spy()
+      inst = new Squiss({
+        queueUrl: 'foo',
+        maxInFlight: 4,
+        adaptiveConcurrency: true,
+        adaptiveWindowSize: 4
+      })
+      inst.sqs = new SQSStub(6)
+      const receiveSpy = sinon.spy(inst.sqs, 'receiveMessage')
+      inst.on('concurrencyChanged', spy)
+      inst.process(() => Promise.reject(new Error('test')))
+      inst.inFlightLimit.should.equal(4)
+      inst.start()
+      return wait().then(() => {
+        spy.should.be.calledOnce()
+        spy.should.be.calledWith(sinon.match({ limit: 2, previousLimit: 4, failureRate: 1 }))
+        inst.inFlightLimit.should.equal(2)
+        receiveSpy.firstCall.args[0].MaxNumberOfMessages.should.equal(4)
+        receiveSpy.secondCall.args[0].MaxNumberOfMessages.should.equal(2)
+      })
+    })
+    it('raises the limit and resumes polling when messages are handled quickly', () => {
+      const spy = sinon.spy()
+      inst = new Squiss({
+        queueUrl: 'foo',
+        maxInFlight: 2,
+        receiveBatchSize: 1,
+        adaptiveConcurrency: true,
+        adaptiveWindowSize: 1
+      })
+      inst.sqs = new SQSStub(3)
+      inst._concurrency._limit = 1
+      inst.on('concurrencyChanged', spy)
+      const msgs = []
+      inst.on('message', msg => msgs.push(msg))
+      inst.start()
+      return wait().then(() => {
+        msgs.should.have.length(1)
+        msgs[0].del()
+        return wait()
+      }).then(() => {
+        spy.should.be.calledWith(sinon.match({ limit: 2, previousLimit: 1, failureRate: 0 }))
+        msgs.should.have.length(3)
+      })
+    })
+    it('does not record messages released by the rate limit', () => {
+      inst = new Squiss({ queueUrl: 'foo', adaptiveConcurrency: true, maxMessagesPerSecond: 0.5,
+        rateLimitAction: 'release' })
+      inst.sqs = new SQSStub(3)
+      const spy = sinon.spy(inst._concurrency, 'recordHandled')
+      inst.process(() => {})
+      inst.start()
+      return wait().then(() => {
+        inst.inFlight.should.equal(0)
+        spy.should.be.calledOnce()
+      })
+    })
+  })
+  describe('rate limiting', () => {
+    let clock = null
+    const flush = () => new Promise(resolve => setImmediate(resolve))
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(100000, 'setTimeout', 'clearTimeout', 'Date')
+    })
+    afterEach(() => {
+      clock.restore()
+    })
+    it('holds messages received faster than the rate', () => {
+      const msgs = []
+      const spy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', maxMessagesPerSecond: 50 })
+      inst.sqs = new SQSStub(3)
+      inst.on('message', msg => msgs.push(msg))
+      inst.on('rateLimited', spy)
+      inst.start()
+      return flush().then(() => {
+        msgs.should.have.length(1)
+        inst.inFlight.should.equal(3)
+        spy.should.be.calledTwice()
+        spy.should.be.calledWith(sinon.match({ action: 'hold' }))
+        spy.firstCall.args[0].delayMs.should.equal(20)
+        spy.secondCall.args[0].delayMs.should.equal(40)
+        clock.tick(20)
+        return flush()
+      }).then(() => {
+        msgs.should.have.length(2)
+        clock.tick(20)
+        return flush()
+      }).then(() => {
+        msgs.map(msg => msg.raw.MessageId).should.deep.equal([ 'id_0', 'id_1', 'id_2' ])
+      })
+    })
+    it('extends the timeouts of held messages while they wait', () => {
+      inst = new Squiss({ queueUrl: 'foo', maxMessagesPerSecond: 1, autoExtendTimeout: true,
+        visibilityTimeoutSecs: 30 })
+      inst.sqs = new SQSStub(3)
+      const msgSpy = sinon.spy()
+      inst.on('message', msgSpy)
+      inst.start()
+      return flush().then(() => {
+        msgSpy.should.be.calledOnce()
+        inst._timeoutExtender.size.should.equal(3)
+      })
+    })
+    it('does not deliver held messages that were released while they waited', () => {
+      const msgSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', maxMessagesPerSecond: 20 })
+      inst.sqs = new SQSStub(3, 1000)
+      inst.on('message', msgSpy)
+      inst.start()
+      return flush().then(() => {
+        msgSpy.should.be.calledOnce()
+        const shutdown = inst.shutdown({ timeoutMs: 5, releaseUnfinished: true })
+        clock.tick(5)
+        return shutdown
+      }).then(() => {
+        clock.tick(100)
+        return flush()
+      }).then(() => {
+        msgSpy.should.be.calledOnce()
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('releases messages received faster than the rate until the rate allows them', () => {
+      const msgs = []
+      const spy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', maxMessagesPerSecond: 0.5, rateLimitAction: 'release' })
+      inst.sqs = new SQSStub(3)
+      const visSpy = sinon.spy(inst, 'queueVisibilityChange')
+      inst.on('message', msg => msgs.push(msg))
+      inst.on('rateLimited', spy)
+      inst.start()
+      return flush().then(() => {
+        msgs.should.have.length(1)
+        inst.inFlight.should.equal(1)
+        spy.should.be.calledTwice()
+        spy.should.be.calledWith(sinon.match({ action: 'release' }))
+        spy.firstCall.args[0].delayMs.should.equal(2000)
+        spy.secondCall.args[0].delayMs.should.equal(4000)
+        visSpy.should.be.calledTwice()
+        visSpy.firstCall.args[1].should.equal(2)
+        visSpy.secondCall.args[1].should.equal(4)
+      })
+    })
+    it('delivers a released message in its reserved slot when it is received again', () => {
+      const msgs = []
+      const spy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', maxMessagesPerSecond: 0.5, rateLimitAction: 'release' })
+      inst.sqs = new SQSStub(3)
+      inst._rateReservations.set('stale', Date.now() - 1)
+      inst.on('message', msg => msgs.push(msg))
+      inst.on('rateLimited', spy)
+      inst.start()
+      return flush().then(() => {
+        msgs.should.have.length(1)
+        spy.should.be.calledTwice()
+        clock.tick(2000)
+        inst.sqs.msgs.push(spy.firstCall.args[0].message.raw)
+        inst.sqs.emit('newMessage')
+        return flush()
+      }).then(() => {
+        msgs.should.have.length(2)
+        msgs[1].raw.MessageId.should.equal('id_1')
+        spy.should.be.calledTwice()
+        Array.from(inst._rateReservations.keys()).should.deep.equal([ 'id_2' ])
+      })
+    })
+    it('measures adaptive handling time from delivery, not from receipt', () => {
+      inst = new Squiss({ queueUrl: 'foo', adaptiveConcurrency: true, maxMessagesPerSecond: 50 })
+      inst.sqs = new SQSStub(3)
+      const spy = sinon.spy(inst._concurrency, 'recordHandled')
+      const msgs = []
+      inst.process(msg => msgs.push(msg))
+      inst.start()
+      return flush().then(() => {
+        clock.tick(40)
+        return flush()
+      }).then(() => {
+        msgs.should.have.length(3)
+        msgs[2].deliveredAt.getTime().should.equal(msgs[2].receivedAt.getTime() + 40)
+        spy.should.be.calledThrice()
+        spy.alwaysCalledWithExactly(0).should.be.true()
+      })
+    })
+    it('emits an error if a message cannot be released', () => {
+      const spy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', maxMessagesPerSecond: 1, rateLimitAction: 'release' })
+      inst.sqs = new SQSStub(2)
+      sinon.stub(inst, 'queueVisibilityChange').returns(Promise.reject(new Error('test')))
+      inst.on('error', spy)
+      inst.start()
+      return flush().then(() => {
+        spy.should.be.calledOnce()
+        spy.firstCall.args[0].message.should.equal('test')
+      })
+    })
+  })
+  describe('metrics', () => {
+    it('collects stats about received and handled messages', () => {
+      const pollSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', deleteWaitMs: 1 })
+      inst.sqs = new SQSStub(2)
+      inst.on('pollComplete', pollSpy)
+      inst.on('message', msg => msg.del())
+      inst.start()
+      return wait().then(() => {
+        pollSpy.should.be.calledWith(sinon.match({ messageCount: 2 }))
+        pollSpy.firstCall.args[0].durationMs.should.be.a('number')
+        const stats = inst.getStats()
+        stats.should.include({
+          messagesReceived: 2,
+          messagesHandled: 2,
+          messagesDeleted: 2,
+          inFlight: 0,
+          inFlightLimit: 100
+        })
+        stats.pollLatencyMs.count.should.be.at.least(1)
+        stats.handlingDurationMs.count.should.equal(2)
+      })
+    })
+    it('counts errors without swallowing them', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      const err = new Error('test')
+      ;(() => inst.emit('error', err)).should.throw('test')
+      inst.getStats().errors.should.equal(1)
+    })
+    it('passes every argument through to listeners', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      const spy = sinon.spy()
+      const listener = () => {}
+      inst.on('newListener', spy)
+      inst.on('message', listener)
+      spy.should.be.calledWith('message', listener)
+    })
+    it('formats metrics for Prometheus, labeled with the queue', () => {
+      inst = new Squiss({ queueName: 'foo' })
+      const text = inst.getPrometheusMetrics({ labels: { service: 'bar' } })
+      text.should.contain('squiss_messages_received_total{service="bar",queue="foo"} 0\n')
+      new Squiss({ queueUrl: 'http://foo/bar' }).getPrometheusMetrics()
+        .should.contain('squiss_errors_total{queue="http://foo/bar"} 0\n')
+    })
+  })
+  describe('tracing', () => {
+    const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01'
+    it('injects the trace context into sent messages', () => {
+      inst = new Squiss({
+        queueUrl: 'foo',
+        tracing: { inject: () => ({ traceparent, awsTraceHeader: 'Root=1-abc' }) }
+      })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      return inst.sendMessage('bar', 0, { baz: 'fizz' }).then(() => {
+        spy.should.be.calledWith({
+          QueueUrl: 'foo',
+          MessageBody: 'bar',
+          MessageAttributes: {
+            traceparent: { DataType: 'String', StringValue: traceparent },
+            baz: { DataType: 'String', StringValue: 'fizz' }
+          },
+          MessageSystemAttributes: { AWSTraceHeader: { DataType: 'String', StringValue: 'Root=1-abc' } }
+        })
+      })
+    })
+    it('injects the same trace context into every message in a batch', () => {
+      const inject = sinon.spy(() => ({ traceparent }))
+      inst = new Squiss({ queueUrl: 'foo', tracing: { inject } })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      return inst.sendMessages([ 'bar', 'baz' ]).then(() => {
+        inject.should.be.calledOnce()
+        spy.firstCall.args[0].Entries.forEach(entry => {
+          entry.MessageAttributes.traceparent.StringValue.should.equal(traceparent)
+        })
+      })
+    })
+    it('sends nothing extra when there is no trace context', () => {
+      inst = new Squiss({ queueUrl: 'foo', tracing: { inject: () => undefined } })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      return inst.sendMessage('bar').then(() => {
+        spy.should.be.calledWith({ QueueUrl: 'foo', MessageBody: 'bar' })
+      })
+    })
+    it('requests the AWSTraceHeader attribute when configured to', () => {
+      inst = new Squiss({ queueUrl: 'foo', tracing: { awsTraceHeader: true } })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'receiveMessage')
+      inst.start()
+      return wait().then(() => {
+        spy.firstCall.args[0].AttributeNames.should.deep.equal([ 'ApproximateReceiveCount', 'AWSTraceHeader' ])
+      })
+    })
+    it('starts a span around the handling of each message', () => {
+      const finishes = []
+      const startSpan = sinon.spy(() => {
+        const finish = sinon.spy()
+        finishes.push(finish)
+        return finish
+      })
+      inst = new Squiss({ queueUrl: 'foo', tracing: { startSpan } })
+      inst.sqs = new SQSStub(2)
+      inst.process(msg => {
+        finishes[msg.body === '{"num": 0}' ? 0 : 1].should.not.be.called()
+        if (msg.body === '{"num": 1}') throw new Error('test')
+      })
+      inst.on('handlerError', () => {})
+      inst.start()
+      return wait().then(() => {
+        startSpan.should.be.calledTwice()
+        startSpan.firstCall.args[0].should.be.instanceOf(Message)
+        finishes[0].should.be.calledWith(true)
+        finishes[1].should.be.calledWith(false)
+      })
+    })
+    it('finishes spans for failed middleware and emitted messages', () => {
+      const finish = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', tracing: { startSpan: () => finish } })
+      inst.sqs = new SQSStub(2)
+      inst.on('message', msg => msg.del())
+      inst.on('handlerError', () => {})
+      inst.use((msg, next) => {
+        if (msg.body === '{"num": 1}') throw new Error('test')
+        return next()
+      })
+      inst.start()
+      return wait().then(() => {
+        finish.should.be.calledTwice()
+        finish.should.be.calledWith(true)
+        finish.should.be.calledWith(false)
+      })
+    })
+    it('emits error when a span fails to finish', () => {
+      const errSpy = sinon.spy()
+      const finish = () => { throw new Error('test') }
+      inst = new Squiss({ queueUrl: 'foo', tracing: { startSpan: () => finish } })
+      inst.sqs = new SQSStub(1)
+      inst.on('error', errSpy)
+      inst.start()
+      return wait().then(() => {
+        errSpy.should.be.calledOnce()
+        errSpy.should.be.calledWith(sinon.match.has('message', 'test'))
+      })
+    })
+    it('delivers messages without a span when startSpan throws', () => {
+      const errSpy = sinon.spy()
+      const msgSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', tracing: { startSpan: () => { throw new Error('test') } } })
+      inst.sqs = new SQSStub(1)
+      inst.on('error', errSpy)
+      inst.on('message', msgSpy)
+      inst.start()
+      return wait().then(() => {
+        errSpy.should.be.calledOnce()
+        msgSpy.should.be.calledOnce()
+      })
+    })
+  })
+  describe('health', () => {
+    it('reports the status of a running poller', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub(2)
+      const msgs = []
+      inst.on('message', msg => msgs.push(msg))
+      inst.health().should.include({ healthy: false, running: false, lastReceiveAt: null })
+      inst.start()
+      return wait().then(() => {
+        msgs[0].del()
+        const health = inst.health()
+        health.lastReceiveAt.should.be.an.instanceOf(Date)
+        health.should.include({
+          healthy: true,
+          running: true,
+          paused: false,
+          consecutivePollErrors: 0,
+          inFlight: 1,
+          pendingDeletes: 1,
+          activeDeletes: 0,
+          extenderBacklog: 0
+        })
+      })
+    })
+    it('reports deletes that are being sent or retried', () => {
+      inst = new Squiss({ queueUrl: 'foo', deleteBatchSize: 1, deleteRetryBaseMs: 40 })
+      inst.sqs = new SQSStub(1)
+      const stub = sinon.stub(inst.sqs, 'deleteMessageBatch')
+      stub.onFirstCall().returns({
+        promise: () => Promise.resolve({
+          Successful: [],
+          Failed: [{ Id: 'id_0', SenderFault: false, Code: 'InternalError', Message: 'oops' }]
+        })
+      })
+      stub.onSecondCall().returns({
+        promise: () => Promise.resolve({ Successful: [{ Id: 'id_0' }], Failed: [] })
+      })
+      inst.on('message', msg => msg.del())
+      inst.start()
+      return wait().then(() => {
+        stub.should.be.calledOnce()
+        inst.health().should.include({ pendingDeletes: 0, activeDeletes: 1 })
+        return wait(60)
+      }).then(() => {
+        stub.should.be.calledTwice()
+        inst.health().activeDeletes.should.equal(0)
+      })
+    })
+    it('reports the number of messages being automatically extended', () => {
+      inst = new Squiss({ queueUrl: 'foo', autoExtendTimeout: true, visibilityTimeoutSecs: 30 })
+      inst.sqs = new SQSStub(2)
+      inst.start()
+      return wait().then(() => {
+        inst.health().extenderBacklog.should.equal(2)
+      })
+    })
+    it('becomes unhealthy after too many consecutive poll errors, and recovers', () => {
+      inst = new Squiss({ queueUrl: 'foo', pollRetryMs: 1, healthMaxPollErrors: 2 })
+      inst.sqs = new SQSStub(1)
+      const receiveMessage = inst.sqs.receiveMessage
+      let fail = true
+      inst.sqs.receiveMessage = params => {
+        if (!fail) return receiveMessage.call(inst.sqs, params)
+        return { promise: () => Promise.reject(new Error('test')), abort: () => {} }
+      }
+      inst.on('error', () => {})
+      inst.start()
+      return wait().then(() => {
+        inst.health().consecutivePollErrors.should.be.at.least(2)
+        inst.health().healthy.should.be.false()
+        fail = false
+        return wait()
+      }).then(() => {
+        inst.health().consecutivePollErrors.should.equal(0)
+        inst.health().healthy.should.be.true()
+      })
+    })
+    it('becomes unhealthy when no poll has been made within healthMaxPollAgeMs', () => {
+      inst = new Squiss({ queueUrl: 'foo', healthMaxPollAgeMs: 10 })
+      inst.sqs = new SQSStub()
+      inst.sqs.receiveMessage = () => ({ promise: () => new Promise(() => {}), abort: () => {} })
+      inst.start()
+      return wait().then(() => {
+        inst.health().should.include({ healthy: false, running: true, paused: false })
+      })
+    })
+    it('stays healthy while polling is paused', () => {
+      inst = new Squiss({ queueUrl: 'foo', maxInFlight: 1, healthMaxPollAgeMs: 1 })
+      inst.sqs = new SQSStub(1)
+      inst.start()
+      return wait().then(() => {
+        inst.health().should.include({ healthy: true, paused: true, inFlight: 1 })
+      })
+    })
+    it('becomes unhealthy when polling stays paused longer than healthMaxPausedMs, and recovers', () => {
+      const msgs = []
+      inst = new Squiss({ queueUrl: 'foo', maxInFlight: 1, healthMaxPausedMs: 10 })
+      inst.sqs = new SQSStub(2)
+      inst.on('message', msg => msgs.push(msg))
+      inst.start()
+      return wait().then(() => {
+        inst.health().should.include({ healthy: false, paused: true, inFlight: 1 })
+        msgs[0].del()
+        return wait(5)
+      }).then(() => {
+        inst.health().should.include({ healthy: true, paused: true, inFlight: 1 })
+      })
+    })
+    it('stays healthy no matter how long polling is paused when healthMaxPausedMs is 0', () => {
+      inst = new Squiss({ queueUrl: 'foo', maxInFlight: 1, healthMaxPausedMs: 0 })
+      inst.sqs = new SQSStub(1)
+      inst.start()
+      return wait().then(() => {
+        inst._pausedAt = 0
+        inst.health().should.include({ healthy: true, paused: true })
+      })
+    })
+    it('defaults healthMaxPollAgeMs based on the polling options', () => {
+      inst = new Squiss({ queueUrl: 'foo', receiveWaitTimeSecs: 10, idlePollIntervalMs: 5000 })
+      inst._getMaxPollAgeMs().should.equal(45000)
+    })
+    it('serves the health status over HTTP', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub()
+      inst.start()
+      return inst.startHealthServer({ port: 0, host: '127.0.0.1' }).then(server => {
+        return new Promise((resolve, reject) => {
+          http.get(`http://127.0.0.1:${server.address().port}/health`, res => {
+            let body = ''
+            res.on('data', chunk => { body += chunk })
+            res.on('end', () => resolve({ statusCode: res.statusCode, body }))
+          }).on('error', reject)
+        }).then(res => {
+          server.close()
+          res.statusCode.should.equal(200)
+          JSON.parse(res.body).should.include({ healthy: true, running: true })
+        })
+      })
+    })
+  })
+  describe('process (orderByGroup)', () => {
+    const addGroupMessage = (sqs, id, groupId) => {
+      sqs.msgs.push({
+        MessageId: `id_${id}`,
+        ReceiptHandle: `${id}`,
+        Body: `${id}`,
+        Attributes: groupId ? { MessageGroupId: groupId } : {}
+      })
+    }
+    it('requests the MessageGroupId attribute', () => {
+      inst = new Squiss({ queueUrl: 'foo.fifo', orderByGroup: true })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'receiveMessage')
+      inst.start()
+      return wait().then(() => {
+        spy.should.be.calledWithMatch({ AttributeNames: [ 'MessageGroupId', 'ApproximateReceiveCount' ] })
+      })
+    })
+    it('processes messages of a group one at a time, and groups in parallel', () => {
+      const events = []
+      inst = new Squiss({ queueUrl: 'foo.fifo', orderByGroup: true })
+      inst.sqs = new SQSStub()
+      addGroupMessage(inst.sqs, 0, 'a')
+      addGroupMessage(inst.sqs, 1, 'b')
+      addGroupMessage(inst.sqs, 2, 'a')
+      addGroupMessage(inst.sqs, 3, 'a')
+      addGroupMessage(inst.sqs, 4)
+      inst.process(msg => {
+        events.push(`start ${msg.body}`)
+        return delay(5).then(() => events.push(`end ${msg.body}`))
+      }).start()
+      return wait(50).then(() => {
+        events.slice(0, 3).should.deep.equal([ 'start 0', 'start 1', 'start 4' ])
+        events.indexOf('start 2').should.be.above(events.indexOf('end 0'))
+        events.indexOf('start 3').should.be.above(events.indexOf('end 2'))
+        events.should.have.length(10)
+        inst.inFlight.should.equal(0)
+        inst._groupQueues.size.should.equal(0)
+      })
+    })
+    it('releases the rest of a group when one message fails', () => {
+      const handled = []
+      inst = new Squiss({ queueUrl: 'foo.fifo', orderByGroup: true, visibilityBatchWaitMs: 1 })
+      inst.sqs = new SQSStub(10)
+      inst.sqs.msgs = []
+      addGroupMessage(inst.sqs, 0, 'a')
+      addGroupMessage(inst.sqs, 1, 'a')
+      addGroupMessage(inst.sqs, 2, 'a')
+      addGroupMessage(inst.sqs, 3, 'b')
+      const releasedSpy = sinon.spy()
+      inst.on('released', releasedSpy)
+      inst.on('handlerError', () => {})
+      inst.process(msg => {
+        handled.push(msg.body)
+        if (msg.body === '0') return Promise.reject(new Error('test'))
+        return delay(1)
+      }).start()
+      return wait(50).then(() => {
+        handled.should.deep.equal([ '0', '3' ])
+        releasedSpy.should.be.calledThrice()
+        inst.inFlight.should.equal(0)
+        inst._groupQueues.size.should.equal(0)
+      })
+    })
+    it('skips waiting messages that were released during shutdown', () => {
+      const handled = []
+      inst = new Squiss({ queueUrl: 'foo.fifo', orderByGroup: true, visibilityBatchWaitMs: 1 })
+      inst.sqs = new SQSStub(10, 1000)
+      inst.sqs.msgs = []
+      addGroupMessage(inst.sqs, 0, 'a')
+      addGroupMessage(inst.sqs, 1, 'a')
+      inst.process(msg => {
+        handled.push(msg.body)
+        return delay(20)
+      }).start()
+      return wait(5).then(() => inst.shutdown({ timeoutMs: 5, releaseUnfinished: true })).then(drained => {
+        drained.should.be.false()
+        return wait(50)
+      }).then(() => {
+        handled.should.deep.equal([ '0' ])
+        inst.inFlight.should.equal(0)
+        inst._groupQueues.size.should.equal(0)
+      })
+    })
+    it('emits error when a waiting message cannot be released', () => {
+      const errSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo.fifo', orderByGroup: true, visibilityBatchWaitMs: 1 })
+      inst.sqs = new SQSStub(1)
+      inst.sqs.msgs = []
+      addGroupMessage(inst.sqs, 0, 'a')
+      addGroupMessage(inst.sqs, 5, 'a')
+      inst.on('handlerError', () => {})
+      inst.on('error', errSpy)
+      inst.process(() => Promise.reject(new Error('test'))).start()
+      return wait(50).then(() => {
+        errSpy.should.be.calledOnce()
+        errSpy.should.be.calledWith(sinon.match.has('code', 'ReceiptHandleIsInvalid'))
+      })
+    })
+  })
+  describe('shutdown', () => {
+    it('stops polling and resolves immediately when nothing is in flight', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub(0, 1000)
+      const abortSpy = sinon.spy()
+      inst.on('aborted', abortSpy)
+      inst.start()
+      return wait().then(() => inst.shutdown()).then(drained => {
+        drained.should.be.true()
+        inst.running.should.be.false()
+        abortSpy.should.be.calledOnce()
+      })
+    })
+    it('waits for in-flight messages and flushes their deletes', () => {
+      const msgs = []
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub(2, 1000)
+      const spy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      inst.on('message', msg => msgs.push(msg))
+      inst.start()
+      return wait().then(() => {
+        msgs.should.have.length(2)
+        setTimeout(() => msgs.forEach(msg => msg.del()), 10)
+        return inst.shutdown({ timeoutMs: 1000 })
+      }).then(drained => {
+        drained.should.be.true()
+        spy.should.be.calledOnce()
+        spy.should.be.calledWithMatch({ Entries: sinon.match.array.and(sinon.match.has('length', 2)) })
+        inst._delQueue.should.have.length(0)
+      })
+    })
+    it('flushes pending deletes in multiple batches and waits for active ones', () => {
+      let resolved = 0
+      inst = new Squiss({ queueUrl: 'foo', deleteBatchSize: 2 })
+      inst.sqs = new SQSStub(5)
+      const origDelete = inst.sqs.deleteMessageBatch.bind(inst.sqs)
+      inst.sqs.deleteMessageBatch = (params) => {
+        const req = origDelete(params)
+        return {
+          promise: () => delay(5).then(() => req.promise()).then(res => {
+            resolved++
+            return res
+          })
+        }
+      }
+      inst.on('message', msg => msg.del())
+      inst.start()
+      return wait().then(() => {
+        inst._delQueue.should.have.length(1)
+        return inst.shutdown()
+      }).then(() => {
+        resolved.should.equal(3)
+        inst._activeDeletes.size.should.equal(0)
+      })
+    })
+    it('resolves false when the deadline passes', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub(2, 1000)
+      const spy = sinon.spy(inst.sqs, 'changeMessageVisibility')
+      inst.start()
+      return wait().then(() => inst.shutdown({ timeoutMs: 5 })).then(drained => {
+        drained.should.be.false()
+        spy.should.not.be.called()
+        inst.inFlight.should.equal(2)
+        inst.listeners('drained').should.have.length(0)
+      })
+    })
+    it('releases unfinished messages when configured to', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub(2, 1000)
+      const spy = sinon.spy(inst.sqs, 'changeMessageVisibilityBatch')
+      const releasedSpy = sinon.spy()
+      inst.on('released', releasedSpy)
+      inst.start()
+      return wait().then(() => inst.shutdown({ timeoutMs: 5, releaseUnfinished: true })).then(drained => {
+        drained.should.be.false()
+        spy.should.be.calledOnce()
+        spy.should.be.calledWithMatch({ Entries: sinon.match.has('length', 2) })
+        releasedSpy.should.be.calledTwice()
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('still flushes deletes and stops the TimeoutExtender when a release fails', () => {
+      inst = new Squiss({ queueUrl: 'foo', autoExtendTimeout: true, visibilityTimeoutSecs: 30 })
+      inst.sqs = new SQSStub(2, 1000)
+      inst.sqs.changeMessageVisibilityBatch = () => ({
+        promise: () => Promise.reject(new Error('test'))
+      })
+      const delSpy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      let first = true
+      inst.on('message', msg => {
+        if (first) msg.del()
+        first = false
+      })
+      inst.start()
+      return wait().then(() => {
+        const stopSpy = sinon.spy(inst._timeoutExtender, 'stop')
+        return inst.shutdown({ timeoutMs: 5, releaseUnfinished: true }).should.be.rejectedWith('test').then(() => {
+          delSpy.should.be.calledOnce()
+          inst._delQueue.should.have.length(0)
+          should.not.exist(inst._delTimer)
+          stopSpy.should.be.calledOnce()
+        })
+      })
+    })
+    it('stops the TimeoutExtender', () => {
+      inst = new Squiss({ queueUrl: 'foo', autoExtendTimeout: true })
+      inst.sqs = new SQSStub(1, 1000)
+      inst.on('message', msg => msg.keep())
+      return inst.start().then(() => wait()).then(() => {
+        const extender = inst._timeoutExtender
+        const spy = sinon.spy(extender, 'stop')
+        return inst.shutdown().then(() => {
+          spy.should.be.calledOnce()
+          should.not.exist(inst._timeoutExtender)
+        })
+      })
+    })
+    it('does not poll again once a soft stop completes', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst.sqs = new SQSStub(0, 1000)
+      const spy = sinon.spy(inst, '_getBatch')
+      inst.start()
+      return wait().then(() => {
+        inst.stop(true)
+        inst.sqs._addMessage(1)
+        return wait()
+      }).then(() => {
+        spy.should.be.calledOnce()
+        inst.inFlight.should.equal(1)
+      })
+    })
+    it('does not retry a failed poll after stopping', () => {
+      inst = new Squiss({ queueUrl: 'foo', pollRetryMs: 5 })
+      inst.sqs = new SQSStub(0)
+      inst.sqs.receiveMessage = sinon.stub().returns({
+        promise: () => Promise.reject(new Error('test')),
+        abort: () => {}
+      })
+      inst.on('error', () => {})
+      inst.start()
+      return wait(1).then(() => {
+        inst.stop()
+        return wait()
+      }).then(() => {
+        inst.sqs.receiveMessage.should.be.calledOnce()
+      })
+    })
+  })
+  describe('sendMessages (FIFO)', () => {
+    it('applies a group ID and a per-message deduplication ID', () => {
+      inst = new Squiss({ queueUrl: 'foo.fifo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      const msgs = 'a.b.c.d.e.f.g.h.i.j.k'.split('.')
+      return inst.sendMessages(msgs, null, null, {
+        groupId: 'grp',
+        deduplicationId: (msg, idx) => `${msg}-${idx}`
+      }).then(() => {
+        spy.should.be.calledTwice()
+        spy.secondCall.should.be.calledWith({
+          QueueUrl: 'foo.fifo',
+          Entries: [
+            { Id: '10', MessageBody: 'k', MessageGroupId: 'grp', MessageDeduplicationId: 'k-10' }
+          ]
+        })
+      })
+    })
+    it('applies per-message group IDs', () => {
+      inst = new Squiss({ queueUrl: 'foo.fifo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      return inst.sendMessages([{ user: 1 }, { user: 2 }], null, null, {
+        groupId: msg => `user-${msg.user}`
+      }).then(() => {
+        spy.should.be.calledWith({
+          QueueUrl: 'foo.fifo',
+          Entries: [
+            { Id: '0', MessageBody: '{"user":1}', MessageGroupId: 'user-1' },
+            { Id: '1', MessageBody: '{"user":2}', MessageGroupId: 'user-2' }
+          ]
+        })
+      })
+    })
+    it('prefers group and deduplication IDs given with individual messages', () => {
+      inst = new Squiss({ queueUrl: 'foo.fifo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      const msgs = [ { body: 'a' }, { body: 'b', groupId: 'other', deduplicationId: 'dup' } ]
+      return inst.sendMessages(msgs, null, null, { groupId: 'grp', entries: true }).then(() => {
+        spy.should.be.calledWith({
+          QueueUrl: 'foo.fifo',
+          Entries: [
+            { Id: '0', MessageBody: 'a', MessageGroupId: 'grp' },
+            { Id: '1', MessageBody: 'b', MessageGroupId: 'other', MessageDeduplicationId: 'dup' }
+          ]
+        })
+      })
+    })
+    it('sends batches one after another', () => {
+      inst = new Squiss({ queueUrl: 'foo.fifo' })
+      inst.sqs = new SQSStub()
+      const sendMessageBatch = inst.sqs.sendMessageBatch
+      let active = 0
+      let maxActive = 0
+      const spy = sinon.stub(inst.sqs, 'sendMessageBatch', params => ({
+        promise: () => {
+          active++
+          maxActive = Math.max(active, maxActive)
+          return wait(5).then(() => {
+            active--
+            return sendMessageBatch.call(inst.sqs, params).promise()
+          })
+        }
+      }))
+      const msgs = 'a.b.c.d.e.f.g.h.i.j.k.l.m.n.o.p.q.r.s.t.u'.split('.')
+      return inst.sendMessages(msgs, null, null, { groupId: 'grp' }).then(res => {
+        spy.should.be.calledThrice()
+        maxActive.should.equal(1)
+        res.Successful.map(elem => elem.Id).should.have.length(21)
+      })
+    })
+    it('does not send the messages after a failed one in the same group', () => {
+      inst = new Squiss({ queueUrl: 'foo.fifo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      const msgs = [ 'FAIL', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l' ]
+      return inst.sendMessages(msgs, null, null, { groupId: msg => msg === 'FAIL' || msg === 'k' ? 'one' : 'two' })
+        .then(res => {
+          spy.should.be.calledTwice()
+          spy.secondCall.args[0].Entries.map(entry => entry.MessageBody).should.deep.equal([ 'l' ])
+          res.Successful.should.have.length(10)
+          res.Failed.should.have.length(2)
+          res.Failed[1].should.deep.equal({
+            Id: '10',
+            SenderFault: true,
+            Code: 'EarlierMessageFailed',
+            Message: 'Not sent because an earlier message in group one failed',
+            OriginalMessage: 'k'
+          })
+        })
+    })
+    it('does not send the messages after one that was too large in the same group', () => {
+      inst = new Squiss({ queueUrl: 'foo.fifo', maxMessageBytes: 5 })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      return inst.sendMessages([ 'toolong', 'b' ], null, null, { groupId: 'grp' }).then(res => {
+        spy.should.not.be.called()
+        res.Failed.map(fail => fail.Code).should.deep.equal([ 'MessageTooLong', 'EarlierMessageFailed' ])
+      })
+    })
+    it('only retries failures that cannot put their group out of order', () => {
+      inst = new Squiss({ queueUrl: 'foo.fifo', sendRetries: 1, sendRetryBaseMs: 1 })
+      inst.sqs = new SQSStub()
+      const outcomes = { a: 'retryable', c: 'retryable', d: 'retryable', e: 'fatal', f: 'retryable' }
+      const spy = sinon.stub(inst.sqs, 'sendMessageBatch', params => {
+        const res = { Successful: [], Failed: [] }
+        params.Entries.forEach(entry => {
+          const outcome = spy.callCount === 1 ? outcomes[entry.MessageBody] : null
+          if (!outcome) res.Successful.push({ Id: entry.Id })
+          else res.Failed.push({ Id: entry.Id, SenderFault: outcome === 'fatal', Code: 'test', Message: '' })
+        })
+        return { promise: () => Promise.resolve(res) }
+      })
+      const groups = { a: 'one', b: 'one', c: 'two', d: 'two', e: 'three', f: 'three' }
+      return inst.sendMessages([ 'a', 'b', 'c', 'd', 'e', 'f' ], null, null, { groupId: msg => groups[msg] })
+        .then(res => {
+          spy.should.be.calledTwice()
+          spy.secondCall.args[0].Entries.map(entry => entry.MessageBody).should.deep.equal([ 'c', 'd' ])
+          res.Failed.map(fail => fail.OriginalMessage).should.deep.equal([ 'a', 'e', 'f' ])
+        })
+    })
+    it('rejects if any FIFO message lacks a group ID', () => {
+      inst = new Squiss({ queueUrl: 'foo.fifo' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      return inst.sendMessages(['a', 'b'], null, null, {
+        groupId: msg => msg === 'a' ? 'grp' : undefined
+      }).should.be.rejectedWith(/groupId/).then(() => {
+        spy.should.not.be.called()
+      })
+    })
+  })
+  describe('codecs', () => {
+    before(() => {
+      Squiss.registerCodec('csv', {
+        encode: body => body.join(','),
+        decode: body => body.split(',')
+      })
+    })
+    it('requires a registered bodyFormat', () => {
+      (() => new Squiss({ queueUrl: 'foo', bodyFormat: 'nope' })).should.throw(/"nope"/)
+    })
+    it('encodes outgoing messages with the configured codec', () => {
+      inst = new Squiss({ queueUrl: 'foo', bodyFormat: 'csv' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      const batchSpy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      return inst.sendMessage([ 'a', 'b' ]).then(() => {
+        spy.should.be.calledWith({ QueueUrl: 'foo', MessageBody: 'a,b' })
+        const msgs = [ { body: [ 'c', 'd' ] }, { body: [ 'e' ], delay: 10 } ]
+        return inst.sendMessages(msgs, null, null, { entries: true })
+      }).then(() => {
+        batchSpy.should.be.calledWith({
+          QueueUrl: 'foo',
+          Entries: [
+            { Id: '0', MessageBody: 'c,d' },
+            { Id: '1', MessageBody: 'e', DelaySeconds: 10 }
+          ]
+        })
+      })
+    })
+    it('decodes incoming messages with the configured codec', () => {
+      const msgs = []
+      inst = new Squiss({ queueUrl: 'foo', bodyFormat: 'csv' })
+      inst.sqs = new SQSStub()
+      inst.on('message', msg => msgs.push(msg))
+      return inst.sendMessage([ 'a', 'b' ]).then(() => {
+        inst.start()
+        return wait()
+      }).then(() => {
+        msgs.should.have.length(1)
+        msgs[0].body.should.deep.equal([ 'a', 'b' ])
+      })
+    })
+  })
+  describe('compression', () => {
+    const big = new Array(101).join('foo ')
+    it('compresses message bodies over the threshold and marks them with an attribute', () => {
+      inst = new Squiss({ queueUrl: 'foo', compressBodies: true, compressThresholdBytes: 100 })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      return inst.sendMessage(big, null, { baz: 'fizz' }).then(() => {
+        const params = spy.firstCall.args[0]
+        zlib.gunzipSync(new Buffer(params.MessageBody, 'base64')).toString().should.equal(big)
+        params.MessageAttributes.should.deep.equal({
+          baz: { DataType: 'String', StringValue: 'fizz' },
+          SquissCompression: { DataType: 'String', StringValue: 'gzip' }
+        })
+      })
+    })
+    it('does not compress message bodies under the threshold', () => {
+      inst = new Squiss({ queueUrl: 'foo', compressBodies: true, compressThresholdBytes: 100 })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      return inst.sendMessages('bar').then(() => {
+        spy.should.be.calledWith({ QueueUrl: 'foo', Entries: [{ Id: '0', MessageBody: 'bar' }] })
+      })
+    })
+    it('decompresses received messages alongside uncompressed ones', () => {
+      const msgs = []
+      inst = new Squiss({ queueUrl: 'foo', compressBodies: true, compressThresholdBytes: 100 })
+      inst.sqs = new SQSStub()
+      inst.on('message', msg => msgs.push(msg))
+      return inst.sendMessages([ big, 'bar' ]).then(() => {
+        inst.start()
+        return wait()
+      }).then(() => {
+        msgs.should.have.length(2)
+        msgs[0].body.should.equal(big)
+        msgs[0].attributes.should.deep.equal({})
+        msgs[1].body.should.equal('bar')
+      })
+    })
+    it('saves compressed bodies that are still too large to the blob store', () => {
+      const store = getBlobStore()
+      const msgs = []
+      inst = new Squiss({ queueUrl: 'foo', compressBodies: true, compressThresholdBytes: 100, blobStore: store,
+        blobThresholdBytes: 10 })
+      inst.sqs = new SQSStub()
+      inst.on('message', msg => msgs.push(msg))
+      return inst.sendMessage(big).then(() => {
+        const key = store.put.firstCall.args[0]
+        zlib.gunzipSync(new Buffer(store.blobs[key], 'base64')).toString().should.equal(big)
+        inst.start()
+        return wait()
+      }).then(() => {
+        msgs.should.have.length(1)
+        msgs[0].body.should.equal(big)
+      })
+    })
+  })
+  describe('dead-lettering', () => {
+    it('requires a deadLetterQueue when maxReceives is set', () => {
+      (() => new Squiss({ queueUrl: 'foo', maxReceives: 3 })).should.throw(/deadLetterQueue/)
+    })
+    it('requests the receive count of each message', () => {
+      inst = new Squiss({ queueUrl: 'foo', maxReceives: 3, deadLetterQueue: 'dlq' })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'receiveMessage')
+      inst.start()
+      return wait().then(() => {
+        spy.should.be.calledWith({
+          QueueUrl: 'foo',
+          MaxNumberOfMessages: 10,
+          WaitTimeSeconds: 20,
+          MessageAttributeNames: [ 'All' ],
+          AttributeNames: [ 'MessageGroupId', 'ApproximateReceiveCount' ]
+        })
+      })
+    })
+    it('sends messages over maxReceives to the dead-letter queue and deletes them', () => {
+      const msgSpy = sinon.spy()
+      const dlSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', maxReceives: 3, deadLetterQueue: 'dlq', deleteWaitMs: 1 })
+      inst.sqs = new SQSStub(2)
+      inst.sqs.msgs = [
+        getReceivedMsg(0, 3),
+        Object.assign(getReceivedMsg(1, 4), { MessageAttributes: { foo: { DataType: 'String', StringValue: 'bar' } } })
+      ]
+      const sendSpy = sinon.stub(inst.sqs, 'sendMessage').returns({ promise: () => Promise.resolve({}) })
+      const delSpy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      inst.on('message', msgSpy)
+      inst.on('deadLettered', dlSpy)
+      inst.start()
+      return wait().then(() => {
+        msgSpy.should.be.calledOnce()
+        msgSpy.firstCall.args[0].raw.MessageId.should.equal('id_0')
+        inst.inFlight.should.equal(1)
+        sendSpy.should.be.calledOnce()
+        sendSpy.should.be.calledWith({
+          QueueUrl: 'dlq',
+          MessageBody: '{"num": 1}',
+          MessageAttributes: {
+            foo: { DataType: 'String', StringValue: 'bar' },
+            SquissSourceQueue: { DataType: 'String', StringValue: 'foo' }
+          }
+        })
+        delSpy.should.be.calledWith({ QueueUrl: 'foo', Entries: [{ Id: 'id_1', ReceiptHandle: '1' }] })
+        dlSpy.should.be.calledOnce()
+        dlSpy.firstCall.args[0].receiveCount.should.equal(4)
+        dlSpy.firstCall.args[0].message.MessageId.should.equal('id_1')
+      })
+    })
+    it('records the last handler error for the message', () => {
+      inst = new Squiss({ queueUrl: 'foo', maxReceives: 1, deadLetterQueue: 'dlq', visibilityBatchWaitMs: 1 })
+      inst.sqs = new SQSStub(1)
+      inst.sqs.msgs = [ getReceivedMsg(0, 1) ]
+      const sendSpy = sinon.stub(inst.sqs, 'sendMessage').returns({ promise: () => Promise.resolve({}) })
+      inst.process(() => Promise.reject(new Error('boom'))).start()
+      return wait().then(() => {
+        inst.sqs.msgs.push(getReceivedMsg(0, 2))
+        inst.sqs.emit('newMessage')
+        return wait()
+      }).then(() => {
+        sendSpy.should.be.calledOnce()
+        sendSpy.firstCall.args[0].MessageAttributes.SquissLastError.should.deep.equal({
+          DataType: 'String',
+          StringValue: 'boom'
+        })
+        inst._lastErrors.size.should.equal(0)
+      })
+    })
+    it('remembers a limited number of handler errors', () => {
+      inst = new Squiss({ queueUrl: 'foo', maxReceives: 1, deadLetterQueue: 'dlq' })
+      for (let i = 0; i <= 1000; i++) {
+        inst._recordError({ raw: { MessageId: `id_${i}` } }, 'failed')
+      }
+      inst._lastErrors.size.should.equal(1000)
+      inst._lastErrors.has('id_0').should.be.false()
+      inst._lastErrors.get('id_1000').should.equal('failed')
+    })
+    it('does not record handler errors unless maxReceives is set', () => {
+      inst = new Squiss({ queueUrl: 'foo' })
+      inst._recordError({ raw: { MessageId: 'id_0' } }, new Error('test'))
+      inst._lastErrors.size.should.equal(0)
+    })
+    it('sends to a FIFO dead-letter queue through its Squiss instance', () => {
+      const dlq = new Squiss({ queueUrl: 'dlq.fifo' })
+      dlq.sqs = new SQSStub()
+      inst = new Squiss({ queueUrl: 'foo.fifo', maxReceives: 1, deadLetterQueue: dlq })
+      inst.sqs = new SQSStub(2)
+      inst.sqs.msgs = [ getReceivedMsg(0, 2, { MessageGroupId: 'grp' }), getReceivedMsg(1, 2) ]
+      const sendSpy = sinon.stub(dlq.sqs, 'sendMessage').returns({ promise: () => Promise.resolve({}) })
+      inst.start()
+      return wait().then(() => {
+        sendSpy.should.be.calledTwice()
+        sendSpy.firstCall.args[0].QueueUrl.should.equal('dlq.fifo')
+        sendSpy.firstCall.args[0].MessageGroupId.should.equal('grp')
+        sendSpy.firstCall.args[0].MessageDeduplicationId.should.equal('id_0')
+        sendSpy.secondCall.args[0].MessageGroupId.should.equal('id_1')
+      })
+    })
+    it('emits error and leaves the message when it cannot be dead-lettered', () => {
+      const errSpy = sinon.spy()
+      inst = new Squiss({ queueUrl: 'foo', maxReceives: 1, deadLetterQueue: 'dlq', deleteWaitMs: 1 })
+      inst.sqs = new SQSStub(1)
+      inst.sqs.msgs = [ getReceivedMsg(0, 2) ]
+      inst.sqs.sendMessage = () => ({ promise: () => Promise.reject(new Error('test')) })
+      const delSpy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      inst.on('error', errSpy)
+      inst.start()
+      return wait().then(() => {
+        errSpy.should.be.calledOnce()
+        delSpy.should.not.be.called()
+      })
+    })
+    it('waits for pending dead-letters before flushing deletes on shutdown', () => {
+      inst = new Squiss({ queueUrl: 'foo', maxReceives: 1, deadLetterQueue: 'dlq' })
+      inst.sqs = new SQSStub(1, 1000)
+      inst.sqs.msgs = [ getReceivedMsg(0, 2) ]
+      inst.sqs.sendMessage = () => ({ promise: () => delay(20) })
+      const delSpy = sinon.spy(inst.sqs, 'deleteMessageBatch')
+      inst.start()
+      return wait(5).then(() => inst.shutdown()).then(() => {
+        delSpy.should.be.calledOnce()
+      })
+    })
+  })
+  describe('blob storage', () => {
+    it('exposes the FileBlobStore', () => {
+      Squiss.FileBlobStore.should.equal(require('src/FileBlobStore'))
+    })
+    it('saves large message bodies to the blob store when sending', () => {
+      const store = getBlobStore()
+      inst = new Squiss({ queueUrl: 'foo', blobStore: store, blobThresholdBytes: 5 })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      return inst.sendMessage({ bar: 'baz' }).then(() => {
+        store.put.should.be.calledOnce()
+        const key = store.put.firstCall.args[0]
+        store.blobs[key].should.equal('{"bar":"baz"}')
+        spy.should.be.calledWith({ QueueUrl: 'foo', MessageBody: `["squiss.BlobPointer",{"key":"${key}"}]` })
+      })
+    })
+    it('sends message bodies under the threshold through SQS', () => {
+      const store = getBlobStore()
+      inst = new Squiss({ queueUrl: 'foo', blobStore: store, blobThresholdBytes: 5 })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessageBatch')
+      return inst.sendMessages([ 'bar', 'a longer message' ]).then(() => {
+        store.put.should.be.calledOnce()
+        const key = store.put.firstCall.args[0]
+        spy.should.be.calledWith({
+          QueueUrl: 'foo',
+          Entries: [
+            { Id: '0', MessageBody: 'bar' },
+            { Id: '1', MessageBody: `["squiss.BlobPointer",{"key":"${key}"}]` }
+          ]
+        })
+      })
+    })
+    it('rejects sending when the blob store fails', () => {
+      const store = getBlobStore()
+      store.put = () => Promise.reject(new Error('test'))
+      inst = new Squiss({ queueUrl: 'foo', blobStore: store, blobThresholdBytes: 5 })
+      inst.sqs = new SQSStub()
+      const spy = sinon.spy(inst.sqs, 'sendMessage')
+      return inst.sendMessage('a longer message').should.be.rejectedWith(/test/).then(() => {
+        spy.should.not.be.called()
+      })
+    })
+    it('loads saved bodies before emitting messages in order, and deletes them with the message', () => {
+      const store = getBlobStore()
+      const msgs = []
+      inst = new Squiss({ queueUrl: 'foo', blobStore: store, blobThresholdBytes: 5, bodyFormat: 'json',
+        deleteWaitMs: 1 })
+      inst.sqs = new SQSStub()
+      inst.on('message', msg => msgs.push(msg))
+      return inst.sendMessages([ { num: 'a longer message' }, '0' ]).then(() => {
+        inst.sqs.msgCount = 2
+        const key = store.put.firstCall.args[0]
+        inst.start()
+        return wait().then(() => {
+          msgs.should.have.length(2)
+          msgs[0].body.should.deep.equal({ num: 'a longer message' })
+          msgs[0].blobKey.should.equal(key)
+          msgs[1].body.should.equal(0)
+          should.not.exist(msgs[1].blobKey)
+          msgs.forEach(msg => msg.del())
+          return wait()
+        }).then(() => {
+          store.del.should.be.calledOnce()
+          store.del.should.be.calledWith(key)
+          store.blobs.should.deep.equal({})
+        })
+      })
+    })
+    it('keeps the saved body when the deletion fails', () => {
+      const store = getBlobStore()
+      inst = new Squiss({ queueUrl: 'foo', blobStore: store, blobThresholdBytes: 5, deleteWaitMs: 1 })
+      inst.sqs = new SQSStub()
+      inst.on('message', msg => msg.del())
+      return inst.sendMessages('a longer message').then(() => {
+        inst.start()
+        return wait()
+      }).then(() => {
+        store.del.should.not.be.called()
+      })
+    })
+    it('emits error and keeps the message when a saved body cannot be loaded', () => {
+      const store = getBlobStore()
+      store.get = () => Promise.reject(new Error('test'))
+      inst = new Squiss({ queueUrl: 'foo', blobStore: store, blobThresholdBytes: 5 })
+      inst.sqs = new SQSStub()
+      const msgSpy = sinon.spy()
+      const errSpy = sinon.spy()
+      const handledSpy = sinon.spy()
+      inst.on('message', msgSpy)
+      inst.on('error', errSpy)
+      inst.on('handled', handledSpy)
+      return inst.sendMessage('a longer message').then(() => {
+        inst.start()
+        return wait()
+      }).then(() => {
+        msgSpy.should.not.be.called()
+        errSpy.should.be.calledOnce()
+        errSpy.should.be.calledWith(sinon.match.instanceOf(Error))
+        handledSpy.should.be.calledOnce()
+        inst.inFlight.should.equal(0)
+      })
+    })
+    it('emits error when a saved body cannot be deleted', () => {
+      const store = getBlobStore()
+      store.del = () => Promise.reject(new Error('test'))
+      inst = new Squiss({ queueUrl: 'foo', blobStore: store, blobThresholdBytes: 5, deleteWaitMs: 1 })
+      inst.sqs = new SQSStub()
+      const errSpy = sinon.spy()
+      inst.on('error', errSpy)
+      inst.on('message', msg => msg.del())
+      return inst.sendMessages('a longer message').then(() => {
+        inst.sqs.msgCount = 1
+        inst.start()
+        return wait()
+      }).then(() => {
+        errSpy.should.be.calledOnce()
+        errSpy.firstCall.args[0].message.should.equal('test')
+      })
+    })
+    it('emits error when a message listener throws after a body is loaded', () => {
+      inst = new Squiss({ queueUrl: 'foo', blobStore: getBlobStore(), blobThresholdBytes: 5 })
+      inst.sqs = new SQSStub()
+      const errSpy = sinon.spy()
+      inst.on('error', errSpy)
+      inst.on('message', () => {
+        throw new Error('test')
+      })
+      return inst.sendMessage('a longer message').then(() => {
+        inst.start()
+        return wait()
+      }).then(() => {
+        errSpy.should.be.calledOnce()
+        errSpy.firstCall.args[0].message.should.equal('test')
+      })
+    })
   })
   describe('auto-extensions', () => {
     it('initializes a TimeoutExtender', () => {
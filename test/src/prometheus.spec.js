@@ -0,0 +1,54 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const prometheus = require('src/prometheus')
+const Metrics = require('src/Metrics')
+
+function getStats(received) {
+  const metrics = new Metrics({ bucketsMs: [ 100, 1000 ] })
+  metrics.record('gotMessages', received)
+  metrics.record('pollComplete', { durationMs: 250 })
+  return Object.assign(metrics.getStats(), { inFlight: 2, inFlightLimit: 10 })
+}
+
+describe('prometheus', () => {
+  it('formats counters, gauges, and histograms', () => {
+    const text = prometheus.format([ { stats: getStats(4), labels: { queue: 'foo' } } ])
+    text.should.contain([
+      '# HELP squiss_messages_received_total Messages received from SQS.',
+      '# TYPE squiss_messages_received_total counter',
+      'squiss_messages_received_total{queue="foo"} 4'
+    ].join('\n'))
+    text.should.contain('# TYPE squiss_messages_in_flight gauge\nsquiss_messages_in_flight{queue="foo"} 2\n')
+    text.should.contain('squiss_messages_in_flight_limit{queue="foo"} 10\n')
+    text.should.contain([
+      '# TYPE squiss_poll_duration_seconds histogram',
+      'squiss_poll_duration_seconds_bucket{queue="foo",le="0.1"} 0',
+      'squiss_poll_duration_seconds_bucket{queue="foo",le="1"} 1',
+      'squiss_poll_duration_seconds_bucket{queue="foo",le="+Inf"} 1',
+      'squiss_poll_duration_seconds_sum{queue="foo"} 0.25',
+      'squiss_poll_duration_seconds_count{queue="foo"} 1'
+    ].join('\n'))
+    text.should.match(/\n$/)
+  })
+  it('formats several sources under the same headers', () => {
+    const text = prometheus.format([
+      { stats: getStats(1), labels: { queue: 'foo' } },
+      { stats: getStats(2), labels: { queue: 'bar' } }
+    ], { prefix: 'app_', labels: { service: 'test' } })
+    text.should.contain([
+      '# TYPE app_messages_received_total counter',
+      'app_messages_received_total{service="test",queue="foo"} 1',
+      'app_messages_received_total{service="test",queue="bar"} 2'
+    ].join('\n'))
+    text.match(/# TYPE app_messages_received_total/g).should.have.length(1)
+  })
+  it('escapes label values and omits empty labels', () => {
+    const text = prometheus.format([ { stats: getStats(1), labels: { queue: 'a"b\\c\nd' } } ])
+    text.should.contain('squiss_messages_received_total{queue="a\\"b\\\\c\\nd"} 1')
+    prometheus.format([ { stats: getStats(1) } ]).should.contain('squiss_messages_received_total 1\n')
+  })
+})
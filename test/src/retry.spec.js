@@ -0,0 +1,58 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const retry = require('src/retry')
+
+describe('retry', () => {
+  describe('isRetryable', () => {
+    it('rejects empty errors', () => {
+      retry.isRetryable().should.be.false()
+    })
+    it('accepts errors the AWS SDK marks as retryable', () => {
+      const err = new Error('test')
+      err.retryable = true
+      retry.isRetryable(err).should.be.true()
+    })
+    it('accepts errors with throttling and networking codes', () => {
+      const err = new Error('test')
+      err.code = 'RequestThrottled'
+      retry.isRetryable(err).should.be.true()
+      err.code = 'ECONNRESET'
+      retry.isRetryable(err).should.be.true()
+    })
+    it('accepts batch failures that are not the sender\'s fault', () => {
+      retry.isRetryable({ Id: '0', SenderFault: false, Code: 'InternalError' }).should.be.true()
+    })
+    it('accepts batch failures with retryable codes', () => {
+      retry.isRetryable({ Id: '0', SenderFault: true, Code: 'RequestThrottled' }).should.be.true()
+    })
+    it('rejects other errors and batch failures', () => {
+      retry.isRetryable(new Error('test')).should.be.false()
+      retry.isRetryable({ Id: '0', SenderFault: true, Code: 'ReceiptHandleIsInvalid' }).should.be.false()
+    })
+  })
+  describe('getBackoffMs', () => {
+    it('grows exponentially with jitter', () => {
+      for (let i = 0; i < 20; i++) {
+        retry.getBackoffMs(0, 100, 5000).should.be.within(50, 100)
+        retry.getBackoffMs(3, 100, 5000).should.be.within(400, 800)
+      }
+    })
+    it('never exceeds the maximum', () => {
+      for (let i = 0; i < 20; i++) {
+        retry.getBackoffMs(20, 100, 5000).should.be.within(2500, 5000)
+      }
+    })
+  })
+  describe('wait', () => {
+    it('resolves after the given time', () => {
+      const start = Date.now()
+      return retry.wait(10).then(() => {
+        (Date.now() - start).should.be.at.least(9)
+      })
+    })
+  })
+})
@@ -0,0 +1,48 @@
+/*
+ * Copyright (c) 2017 Tom Shawver
+ */
+
+'use strict'
+
+const tracing = require('src/tracing')
+
+const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01'
+
+describe('tracing', () => {
+  describe('extract', () => {
+    it('gets the W3C headers and the AWS trace header', () => {
+      tracing.extract({ traceparent, tracestate: 'foo=bar', other: 'baz' }, { AWSTraceHeader: 'Root=1-abc' })
+        .should.deep.equal({ traceparent, tracestate: 'foo=bar', awsTraceHeader: 'Root=1-abc' })
+    })
+    it('ignores an invalid traceparent, along with its tracestate', () => {
+      should.not.exist(tracing.extract({ traceparent: 'foo', tracestate: 'foo=bar' }))
+      should.not.exist(tracing.extract({ tracestate: 'foo=bar' }, {}))
+      tracing.extract({ traceparent: 5 }, { AWSTraceHeader: 'Root=1-abc' })
+        .should.deep.equal({ awsTraceHeader: 'Root=1-abc' })
+    })
+  })
+  describe('inject', () => {
+    it('adds the W3C headers as message attributes', () => {
+      tracing.inject({ MessageBody: 'foo' }, { traceparent, tracestate: 'foo=bar' }).should.deep.equal({
+        MessageBody: 'foo',
+        MessageAttributes: {
+          traceparent: { DataType: 'String', StringValue: traceparent },
+          tracestate: { DataType: 'String', StringValue: 'foo=bar' }
+        }
+      })
+    })
+    it('does not replace existing attributes', () => {
+      const existing = { DataType: 'String', StringValue: 'mine' }
+      const params = tracing.inject({ MessageAttributes: { traceparent: existing } }, { traceparent })
+      params.MessageAttributes.traceparent.should.equal(existing)
+    })
+    it('adds the AWS trace header as a system attribute', () => {
+      tracing.inject({}, { tracestate: 'foo=bar', awsTraceHeader: 'Root=1-abc' }).should.deep.equal({
+        MessageSystemAttributes: { AWSTraceHeader: { DataType: 'String', StringValue: 'Root=1-abc' } }
+      })
+    })
+    it('leaves the params alone without a trace context', () => {
+      tracing.inject({ MessageBody: 'foo' }, null).should.deep.equal({ MessageBody: 'foo' })
+    })
+  })
+})
@@ -51,6 +51,28 @@ class SQSStub extends EventEmitter {
     return this._makeReq(() => Promise.resolve())
   }
 
+  changeMessageVisibilityBatch(params) {
+    return this._makeReq(() => {
+      const res = {
+        Successful: [],
+        Failed: []
+      }
+      params.Entries.forEach((entry) => {
+        if (parseInt(entry.ReceiptHandle, 10) < this.msgCount) {
+          res.Successful.push({Id: entry.Id})
+        } else {
+          res.Failed.push({
+            Id: entry.Id,
+            SenderFault: true,
+            Code: 'ReceiptHandleIsInvalid',
+            Message: 'Message does not exist or is not available for visibility timeout change.'
+          })
+        }
+      })
+      return Promise.resolve(res)
+    })
+  }
+
   deleteQueue() {
     return this._makeReq(() => {
       return Promise.resolve({ ResponseMetadata: { RequestId: 'd2206b43-df52-5161-a8e8-24dc83737962' } })
@@ -65,11 +87,12 @@ class SQSStub extends EventEmitter {
     })
   }
 
-  getQueueAttributes() {
+  getQueueAttributes(params) {
     return this._makeReq(() => {
       return Promise.resolve({
         Attributes: {
-          VisibilityTimeout: '31'
+          VisibilityTimeout: '31',
+          QueueArn: `arn:aws:sqs:us-east-1:123456789012:${params.QueueUrl.split('/').pop()}`
         }
       })
     })
@@ -95,7 +118,7 @@ class SQSStub extends EventEmitter {
         }
         const onNewMessage = () => {
           removeListeners()
-          resolve(this.receiveMessage().promise())
+          resolve(this.receiveMessage(params).promise())
         }
         removeListeners = () => {
           clearTimeout(timeout)
@@ -110,7 +133,7 @@ class SQSStub extends EventEmitter {
   }
 
   sendMessage(params) {
-    this._addMessage(params.QueueUrl, params.MessageBody)
+    this._addMessage(params.QueueUrl, params.MessageBody, params.MessageAttributes)
     return this._makeReq(() => {
       return Promise.resolve({
         MessageId: 'd2206b43-df52-5161-a8e8-24dc83737962',
@@ -127,7 +150,7 @@ class SQSStub extends EventEmitter {
     }
     params.Entries.forEach((entry, idx) => {
       if (entry.MessageBody !== 'FAIL') {
-        this._addMessage(entry.Id, entry.MessageBody)
+        this._addMessage(entry.Id, entry.MessageBody, entry.MessageAttributes)
         res.Successful.push({
           Id: entry.Id,
           MessageId: idx.toString(),
@@ -146,12 +169,14 @@ class SQSStub extends EventEmitter {
     return this._makeReq(() => Promise.resolve(res))
   }
 
-  _addMessage(id, body) {
-    this.msgs.push({
+  _addMessage(id, body, attributes) {
+    const msg = {
       MessageId: `id_${id}`,
       ReceiptHandle: `${id}`,
       Body: body || `{"num": ${id}}`
-    })
+    }
+    if (attributes) msg.MessageAttributes = attributes
+    this.msgs.push(msg)
     this.emit('newMessage')
   }
 
@@ -10,6 +10,10 @@ class SquissStub extends EventEmitter {
   changeMessageVisibility() {
     return Promise.resolve()
   }
+
+  queueVisibilityChange() {
+    return Promise.resolve()
+  }
 }
 
 module.exports = SquissStub